@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+const USAGE = [
+  'usage: simple-postgres migrate [directory] [options]',
+  '',
+  'Applies pending migrations from directory (default: ./migrations)',
+  'to the database in DATABASE_URL.',
+  '',
+  'options:',
+  '  --status         list every migration and whether it has been applied',
+  '  --dry-run        list pending migrations without applying them',
+  '  --table <name>   migrations table (default: simple_postgres_migrations)',
+  '  --schema <name>  schema of the migrations table'
+].join('\n')
+
+function parseArgs (argv) {
+  let args = { command: argv[0] }
+  for (let i = 1; i < argv.length; i++) {
+    let arg = argv[i]
+    if (arg === '--status') {
+      args.status = true
+    } else if (arg === '--dry-run') {
+      args.dryRun = true
+    } else if (arg === '--table' || arg === '--schema') {
+      if (!argv[i + 1]) throw new Error(arg + ' needs a value')
+      args[arg.slice(2)] = argv[++i]
+    } else if (arg[0] === '-' || args.directory) {
+      throw new Error('Unknown argument ' + arg)
+    } else {
+      args.directory = arg
+    }
+  }
+  return args
+}
+
+function main (argv) {
+  let args
+  try {
+    args = parseArgs(argv)
+  } catch (err) {
+    console.error(err.message + '\n\n' + USAGE)
+    return Promise.resolve(2)
+  }
+  if (args.command !== 'migrate') {
+    console.error(USAGE)
+    return Promise.resolve(2)
+  }
+
+  const db = require('../src')
+  let options = {
+    directory: args.directory,
+    table: args.table,
+    schema: args.schema,
+    dryRun: args.dryRun,
+    log: console.log
+  }
+
+  let run
+  if (args.status) {
+    run = db.migrationStatus(options).then(function (migrations) {
+      for (let migration of migrations) {
+        console.log(migration.status + '\t' + migration.name)
+      }
+    })
+  } else {
+    run = db.migrate(options).then(function (migrations) {
+      if (!migrations.length) {
+        console.log('no pending migrations')
+      } else if (args.dryRun) {
+        for (let migration of migrations) {
+          console.log('pending\t' + migration.name)
+        }
+      } else {
+        console.log('applied ' + migrations.length + ' migration' + (migrations.length === 1 ? '' : 's'))
+      }
+    })
+  }
+
+  return run.then(function () {
+    return 0
+  }, function (err) {
+    console.error(err.message)
+    return 1
+  }).then(function (code) {
+    return db.end().then(function () {
+      return code
+    })
+  })
+}
+
+main(process.argv.slice(2)).then(function (code) {
+  process.exitCode = code
+})
@@ -0,0 +1,84 @@
+// encoding and decoding for the COPY text and csv formats
+// https://www.postgresql.org/docs/current/static/sql-copy.html#id-1.9.3.55.9
+
+const inspect = require('util').inspect
+const isBigInt = require('./escape').isBigInt
+
+const TEXT_ESCAPES = {
+  '\\': '\\\\',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t'
+}
+
+const TEXT_UNESCAPES = {
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v'
+}
+
+function scalar (value) {
+  if (typeof value === 'number' || isBigInt(value)) {
+    return String(value)
+  } else if (value === true) {
+    return 'true'
+  } else if (value === false) {
+    return 'false'
+  } else if (typeof value === 'string') {
+    return value
+  } else if (value instanceof Date) {
+    if (isNaN(value.getTime())) throw new Error('Cannot encode an invalid date for COPY')
+    return value.toISOString()
+  } else if (Buffer.isBuffer(value)) {
+    return '\\x' + value.toString('hex')
+  } else if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  throw new Error('Cannot encode ' + inspect(value) + ' for COPY')
+}
+
+function array (values) {
+  return '{' + values.map(function (value) {
+    if (value === null) {
+      return 'NULL'
+    } else if (Array.isArray(value)) {
+      return array(value)
+    }
+    return '"' + scalar(value).replace(/[\\"]/g, '\\$&') + '"'
+  }).join(',') + '}'
+}
+
+module.exports = {
+  encodeRow (row, format) {
+    if (format === 'csv') {
+      return row.map(function (value) {
+        if (value === null) {
+          return ''
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+          return scalar(value)
+        }
+        value = Array.isArray(value) ? array(value) : scalar(value)
+        return '"' + value.replace(/"/g, '""') + '"'
+      }).join(',') + '\n'
+    }
+
+    return row.map(function (value) {
+      if (value === null) return '\\N'
+      value = Array.isArray(value) ? array(value) : scalar(value)
+      return value.replace(/[\\\n\r\t]/g, function (c) { return TEXT_ESCAPES[c] })
+    }).join('\t') + '\n'
+  },
+  decodeRow (line) {
+    return line.split('\t').map(function (field) {
+      if (field === '\\N') return null
+      return field.replace(/\\(?:([0-7]{1,3})|x([0-9a-fA-F]{1,2})|([\s\S]))/g, function (match, octal, hex, c) {
+        if (octal) return String.fromCharCode(parseInt(octal, 8))
+        if (hex) return String.fromCharCode(parseInt(hex, 16))
+        return TEXT_UNESCAPES[c] || c
+      })
+    })
+  }
+}
@@ -19,39 +19,80 @@ module.exports = {
   identifiers (identifiers, separator) {
     return identifiers.map(module.exports.identifier).join(separator || ', ')
   },
-  literal (str) {
-    if (typeof str === 'number') {
-      return str
-    } else if (str === null) {
-      return 'null'
-    } else if (str === true) {
-      return 'true'
-    } else if (str === false) {
-      return 'false'
-    } else if (Array.isArray(str)) {
-      return 'Array[' + str.map(module.exports.literal).join(', ') + ']'
-    }
-
-    let hasBackslash = false
-    let escaped = '\''
-    for (let i = 0; i < str.length; i++) {
-      let c = str[i]
-      if (c === '\'') {
-        escaped += c + c
-      } else if (c === '\\') {
-        escaped += c + c
-        hasBackslash = true
-      } else {
-        escaped += c
-      }
-    }
-    escaped += '\''
-    if (hasBackslash === true) {
-      escaped = ' E' + escaped
+  literal (str, type) {
+    let escaped = literal(str)
+    if (type) {
+      escaped += '::' + module.exports.type(type)
     }
     return escaped
   },
+  type (str) {
+    if (typeof str !== 'string' || !SAFE_TYPE.test(str)) {
+      throw new Error('Invalid SQL type: ' + str)
+    }
+    return str
+  },
   literals (literals, separator) {
-    return literals.map(module.exports.literal).join(separator || ', ')
+    return literals.map(function (v) { return literal(v) }).join(separator || ', ')
+  },
+  isBigInt: isBigInt
+}
+
+// without typeof, which older linters think can't be 'bigint'
+function isBigInt (value) {
+  return Object.prototype.toString.call(value) === '[object BigInt]'
+}
+
+// type names, optionally schema-qualified, with modifiers and array brackets
+// e.g. int[], public."My Type", timestamp(3) with time zone, varchar(10)[]
+const SAFE_TYPE = /^(?:[A-Za-z_]\w*|"[^"]+")(?:\.(?:[A-Za-z_]\w*|"[^"]+"))?(?: [A-Za-z_]\w*)*(?:\(\d+(?:, *\d+)*\))?(?: [A-Za-z_]\w*)*(?: *\[\d*\])*$/
+
+function literal (str) {
+  if (typeof str === 'number') {
+    return isFinite(str) ? str : '\'' + str + '\'::float8'
+  } else if (isBigInt(str)) {
+    return String(str)
+  } else if (str === null) {
+    return 'null'
+  } else if (typeof str === 'undefined') {
+    throw new Error('Cannot use undefined as a SQL literal, use null instead')
+  } else if (str === true) {
+    return 'true'
+  } else if (str === false) {
+    return 'false'
+  } else if (Array.isArray(str)) {
+    return str.length
+      ? 'Array[' + str.map(function (v) { return literal(v) }).join(', ') + ']'
+      : '\'{}\''
+  } else if (str instanceof Date) {
+    if (isNaN(str.getTime())) throw new Error('Cannot use an invalid date as a SQL literal')
+    return quote(str.toISOString()) + '::timestamptz'
+  } else if (Buffer.isBuffer(str)) {
+    return quote('\\x' + str.toString('hex')) + '::bytea'
+  } else if (typeof str === 'object') {
+    return quote(JSON.stringify(str)) + '::jsonb'
+  }
+
+  return quote(String(str))
+}
+
+function quote (str) {
+  let hasBackslash = false
+  let escaped = '\''
+  for (let i = 0; i < str.length; i++) {
+    let c = str[i]
+    if (c === '\'') {
+      escaped += c + c
+    } else if (c === '\\') {
+      escaped += c + c
+      hasBackslash = true
+    } else {
+      escaped += c
+    }
+  }
+  escaped += '\''
+  if (hasBackslash === true) {
+    escaped = ' E' + escaped
   }
+  return escaped
 }
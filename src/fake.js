@@ -0,0 +1,209 @@
+// an in-memory stand-in for pg, for unit testing code which uses simple-postgres
+//
+//   const fake = require('simple-postgres/fake')()
+//   const db = require('simple-postgres').configure({ driver: fake })
+
+const EventEmitter = require('events')
+
+function normalizeSql (sql) {
+  return String(sql).trim().replace(/\s+/g, ' ')
+}
+
+function matches (pattern, sql) {
+  if (pattern instanceof RegExp) return pattern.test(sql)
+  return normalizeSql(pattern) === normalizeSql(sql)
+}
+
+function toResult (sql, response) {
+  if (Array.isArray(response)) response = { rows: response }
+  response = response || {}
+  let rows = response.rows || []
+  return {
+    command: response.command || normalizeSql(sql).split(' ')[0].toUpperCase(),
+    rowCount: typeof response.rowCount === 'number' ? response.rowCount : rows.length,
+    rows: rows,
+    fields: response.fields || []
+  }
+}
+
+function unquoteIdentifier (identifier) {
+  identifier = identifier.trim()
+  if (identifier[0] !== '"') return identifier.toLowerCase()
+  return identifier.slice(1, -1).replace(/""/g, '"')
+}
+
+module.exports = function createFakeDriver () {
+  let responses = []
+  let clients = new Set()
+  let processIDs = 0
+
+  let driver = {
+    // every query received, in order: { sql, params, name, client }
+    queries: [],
+
+    // answer queries matching pattern (the exact sql, ignoring whitespace, or
+    // a RegExp) with rows, a result object, an Error, or a function of
+    // (sql, params) which returns or resolves with any of those
+    respond (pattern, response) {
+      responses.unshift({ pattern: pattern, response: response, once: false })
+      return driver
+    },
+    respondOnce (pattern, response) {
+      responses.unshift({ pattern: pattern, response: response, once: true })
+      return driver
+    },
+
+    // the sql of every query received, optionally only from one client
+    statements (processID) {
+      return driver.queries
+        .filter(function (query) { return !processID || query.client === processID })
+        .map(function (query) { return query.sql })
+    },
+
+    // send a notification to every client listening on channel
+    notify (channel, payload) {
+      for (let client of clients) {
+        if (client.channels.has(channel)) {
+          client.emit('notification', {
+            processId: 0,
+            channel: channel,
+            payload: payload === undefined ? '' : String(payload)
+          })
+        }
+      }
+    },
+
+    reset () {
+      responses = []
+      driver.queries.length = 0
+    }
+  }
+
+  function respond (sql, params) {
+    for (let i = 0; i < responses.length; i++) {
+      if (matches(responses[i].pattern, sql)) {
+        let response = responses[i].response
+        if (responses[i].once) responses.splice(i, 1)
+        if (typeof response === 'function') response = response(sql, params)
+        return Promise.resolve(response)
+      }
+    }
+    return Promise.resolve()
+  }
+
+  class Client extends EventEmitter {
+    constructor (options) {
+      super()
+      this.options = options
+      this.processID = ++processIDs
+      this.channels = new Set()
+      this.ended = false
+      this.queue = Promise.resolve()
+      // like pg, which remembers the prepared statements each connection has
+      this.connection = { parsedStatements: {} }
+    }
+
+    connect (callback) {
+      clients.add(this)
+      if (callback) return process.nextTick(callback, null)
+      return Promise.resolve()
+    }
+
+    query (config, values, callback) {
+      if (typeof values === 'function') {
+        callback = values
+        values = undefined
+      }
+      if (config && typeof config.submit === 'function') {
+        process.nextTick(function () {
+          config.emit('error', new Error('The fake driver does not support streaming queries'))
+        })
+        return config
+      }
+
+      let sql = typeof config === 'string' ? config : config.text
+      let params = values || (typeof config === 'object' && config.values) || []
+      let client = this
+      driver.queries.push({ sql: sql, params: params, name: config.name, client: this.processID })
+      if (config.name) this.connection.parsedStatements[config.name] = sql
+
+      let listen = /^\s*(UN)?LISTEN\s+(.+?)\s*;?\s*$/i.exec(sql)
+      if (listen) {
+        let channel = unquoteIdentifier(listen[2])
+        if (listen[1]) {
+          this.channels.delete(channel)
+        } else {
+          this.channels.add(channel)
+        }
+      }
+
+      // like a real connection, answer one query at a time
+      let result = this.queue.then(function () {
+        if (client.ended) throw new Error('Client was closed and is not queryable')
+        return respond(sql, params)
+      }).then(function (response) {
+        if (response instanceof Error) throw response
+        return toResult(sql, response)
+      })
+      this.queue = result.catch(function () {})
+
+      if (!callback) return result
+      result.then(function (res) { callback(null, res) }, callback)
+    }
+
+    end (callback) {
+      this.ended = true
+      clients.delete(this)
+      this.emit('end')
+      if (callback) return process.nextTick(callback)
+      return Promise.resolve()
+    }
+  }
+
+  class Pool extends EventEmitter {
+    constructor (options) {
+      super()
+      this.options = options
+      this.ending = false
+      this._clients = []
+      this._idle = []
+    }
+
+    get totalCount () { return this._clients.length }
+    get idleCount () { return this._idle.length }
+    get waitingCount () { return 0 }
+
+    connect () {
+      if (this.ending) return Promise.reject(new Error('Cannot use a pool after calling end on the pool'))
+
+      let pool = this
+      let client = this._idle.pop()
+      if (!client) {
+        client = new Client(this.options)
+        client.connect()
+        this._clients.push(client)
+      }
+      client.release = function release (err) {
+        if (err) {
+          pool._clients.splice(pool._clients.indexOf(client), 1)
+          client.end()
+        } else {
+          pool._idle.push(client)
+        }
+      }
+      return Promise.resolve(client)
+    }
+
+    end () {
+      this.ending = true
+      for (let client of this._clients) client.end()
+      this._clients = []
+      this._idle = []
+      return Promise.resolve()
+    }
+  }
+
+  driver.Pool = Pool
+  driver.Client = Client
+  return driver
+}
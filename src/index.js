@@ -1,24 +1,36 @@
-const { Pool } = require('pg')
+const pg = require('pg')
+const Connection = pg.Connection
+const copyStreams = require('pg-copy-streams')
+const Transform = require('stream').Transform
+const StringDecoder = require('string_decoder').StringDecoder
 const parseConnectionString = require('pg-connection-string').parse
 const parseUrl = require('url').parse
 const findRoot = require('find-root')
 const readFileSync = require('fs').readFileSync
 const escape = require('./escape')
+const copy = require('./copy')
+const migrations = require('./migrate')
 const inspect = require('util').inspect
+const createHash = require('crypto').createHash
 
 function DO_NOTHING () {}
 
+const HOOKS = ['onQuery', 'onResult', 'onError', 'onConnect', 'onRelease']
+const RESULT_METHODS = ['query', 'rows', 'row', 'value', 'column']
+const READ_METHODS = ['rows', 'row', 'value', 'column']
+
 const INTERFACE = {
   query (client, ...args) {
-    if (canGetRawSqlFrom(args[0])) {
-      args[0] = args[0].__unsafelyGetRawSql()
-    }
-    if (Array.isArray(args[0])) args = sqlTemplate(client, args)
+    args = queryArgs(client, args)
     let sql = args[0]
     let params = args[1]
+    let name = args[2]
     let query
     let cancelled
     let stack = (new Error()).stack
+    let hooks = client.__simplePostgresHooks
+    let stats = client.__simplePostgresStats
+    let event = hooks && hooks.queryEvent(client, sql, params)
     const notices = []
     function onNotice (notice) {
       notices.push(notice)
@@ -26,39 +38,111 @@ const INTERFACE = {
 
     client.on('notice', onNotice)
 
+    let abort
     let promise = new Promise(function doQuery (resolve, reject) {
       if (cancelled) return reject(new Cancel())
-      query = client.query(sql, params, function onResult (err, result) {
+      if (event) hooks.emit('onQuery', event)
+      let start = process.hrtime()
+      let retried = false
+
+      function send () {
+        if (!name) {
+          client.query(sql, params, onResult)
+        } else {
+          rememberStatement(client, name)
+          client.query({ name: name, text: sql, values: params }, onResult)
+        }
+        // pg doesn't return queries which take a callback, so find it in the queue
+        let queue = client.queryQueue
+        return queue && queue.length ? queue[queue.length - 1] : client.activeQuery
+      }
+
+      abort = function abort () {
+        onResult(new Cancel())
+      }
+
+      function onResult (err, result) {
+        if (
+          err && name && !retried && !cancelled &&
+          err.code === '26000' && // invalid_sql_statement_name
+          client.__simplePostgresBlock !== 'transaction'
+        ) {
+          // the server forgot about the statement, prepare it again
+          retried = true
+          delete client.connection.parsedStatements[name]
+          query = send()
+          return
+        }
+
         if (cancelled) {
           client.removeListener('notice', onNotice)
-          reject(new Cancel())
+          err = new Cancel()
         } else if (err) {
           client.removeListener('notice', onNotice)
-          reject(new SqlError(sql, params, stack, err, notices))
+          err = sqlError(sql, params, stack, err, notices)
         } else {
           client.removeListener('notice', onNotice)
+        }
+
+        if (stats) {
+          stats.activeQueries--
+          if (err instanceof Cancel) {
+            stats.cancels++
+          } else if (err) {
+            stats.errors++
+          }
+        }
+
+        if (event) {
+          hooks.finish(client, Object.assign({}, event, {
+            duration: millisSince(start),
+            notices: notices,
+            error: err || undefined,
+            rowCount: err ? undefined : result.rowCount
+          }), sql, params, stack)
+        }
+
+        if (err) {
+          reject(err)
+        } else {
           resolve(result)
         }
-      })
+      }
+
+      if (stats) {
+        stats.queries++
+        stats.activeQueries++
+      }
+      query = send()
     })
 
     promise.cancel = function cancel () {
       cancelled = true
-      if (client.activeQuery === query) {
-        return INTERFACE.query(client, 'SELECT pg_cancel_backend($1)', [client.processID])
+      if (query && client.activeQuery === query) {
+        // the connection is busy with this query, so cancel it out of band
+        cancelBackend(client)
+      } else if (query && client.queryQueue && client.queryQueue.indexOf(query) !== -1) {
+        // it hasn't started yet, so it never has to
+        client.queryQueue.splice(client.queryQueue.indexOf(query), 1)
+        abort()
       }
+      return promise.then(DO_NOTHING, DO_NOTHING)
     }
 
     return promise
   },
-  rows (...args) {
-    return thenWithCancel(INTERFACE.query(...args),
-      function (result) { return result.rows }
+  rows (client, ...args) {
+    return thenWithCancel(INTERFACE.query(client, ...args),
+      function (result) {
+        return client.__simplePostgresKeys
+          ? result.rows.map(function (row) { return transformRow(client, row) })
+          : result.rows
+      }
     )
   },
-  row (...args) {
-    return thenWithCancel(INTERFACE.query(...args),
-      function (result) { return result.rows[0] }
+  row (client, ...args) {
+    return thenWithCancel(INTERFACE.query(client, ...args),
+      function (result) { return transformRow(client, result.rows[0]) }
     )
   },
   value (...args) {
@@ -75,6 +159,81 @@ const INTERFACE = {
         )
       }
     )
+  },
+  copyFrom (client, sql, source, options) {
+    // COPY can't take bind parameters
+    if (canGetRawSqlFrom(sql)) sql = sql.__unsafelyGetRawSql(client)
+    let format = (options && options.format) || 'text'
+    let iterator
+    let stream
+    let stopped
+    let cancelled
+    let sourceErr
+    let stack = (new Error()).stack
+
+    let promise = new Promise(function doCopy (resolve, reject) {
+      if (cancelled) return reject(new Cancel())
+      iterator = typeof source[Symbol.asyncIterator] === 'function'
+        ? source[Symbol.asyncIterator]()
+        : source[Symbol.iterator]()
+      stream = client.query(copyStreams.from(sql))
+      stream.on('error', function onError (err) {
+        stopped = true
+        if (cancelled) {
+          reject(new Cancel())
+        } else if (sourceErr) {
+          reject(sourceErr)
+        } else {
+          reject(sqlError(sql, [], stack, err, []))
+        }
+      })
+      stream.on('finish', function onFinish () {
+        stopped = true
+        resolve({ command: 'COPY', rowCount: stream.rowCount })
+      })
+
+      function pump () {
+        if (stopped) return
+        Promise.resolve(iterator.next()).then(function onChunk (next) {
+          if (stopped) return
+          if (next.done) return stream.end()
+          let chunk = next.value
+          if (typeof chunk !== 'string' && !Buffer.isBuffer(chunk)) {
+            chunk = copy.encodeRow(chunk, format)
+          }
+          if (stream.write(chunk)) {
+            pump()
+          } else {
+            stream.once('drain', pump)
+          }
+        }).catch(function onSourceError (err) {
+          sourceErr = err
+          abort()
+        })
+      }
+
+      pump()
+    })
+
+    function abort () {
+      if (stopped) return
+      stopped = true
+      if (typeof iterator.return === 'function') iterator.return()
+      if (client.activeQuery === stream) {
+        client.connection.sendCopyFail(sourceErr ? String(sourceErr.message) : 'cancelled')
+      } else if (client.queryQueue.indexOf(stream) !== -1) {
+        client.queryQueue.splice(client.queryQueue.indexOf(stream), 1)
+        stream.emit('error', sourceErr || new Cancel())
+      }
+    }
+
+    promise.cancel = function cancel () {
+      cancelled = true
+      if (stream) abort()
+      return promise.catch(DO_NOTHING)
+    }
+
+    return promise
   }
 }
 
@@ -93,7 +252,7 @@ class SqlError extends Error {
     this.name = 'SqlError'
     this.message = (
       'SQL Error: ' + [...notices, pgError.message].join('\n') + '\n' +
-      sql +
+      sqlWithCaret(sql, pgError.position) +
       (params && params.length
         ? '\nQuery parameters:' + stringifyParameters(params)
         : ''))
@@ -101,46 +260,400 @@ class SqlError extends Error {
   }
 }
 
+class UniqueViolation extends SqlError {
+  constructor (...args) {
+    super(...args)
+    this.name = 'UniqueViolation'
+    this.key = parseKey(this.detail)
+  }
+}
+
+class ForeignKeyViolation extends SqlError {
+  constructor (...args) {
+    super(...args)
+    this.name = 'ForeignKeyViolation'
+    this.key = parseKey(this.detail)
+  }
+}
+
+class NotNullViolation extends SqlError {
+  constructor (...args) {
+    super(...args)
+    this.name = 'NotNullViolation'
+  }
+}
+
+class CheckViolation extends SqlError {
+  constructor (...args) {
+    super(...args)
+    this.name = 'CheckViolation'
+  }
+}
+
+class SerializationFailure extends SqlError {
+  constructor (...args) {
+    super(...args)
+    this.name = 'SerializationFailure'
+  }
+}
+
+class QueryCanceled extends SqlError {
+  constructor (...args) {
+    super(...args)
+    this.name = 'QueryCanceled'
+  }
+}
+
+// by SQLSTATE, anything else is a plain SqlError
+const SQL_ERRORS = {
+  '23505': UniqueViolation,
+  '23503': ForeignKeyViolation,
+  '23502': NotNullViolation,
+  '23514': CheckViolation,
+  '40001': SerializationFailure,
+  '57014': QueryCanceled
+}
+
+function sqlError (sql, params, stack, pgError, notices) {
+  let ErrorClass = SQL_ERRORS[pgError.code] || SqlError
+  return new ErrorClass(sql, params, stack, pgError, notices)
+}
+
+// the values from e.g. 'Key (a, b)=(1, 2) already exists.', as { a: '1', b: '2' },
+// or null when they can't be told apart
+function parseKey (detail) {
+  let match = /^Key \((.*)\)=\((.*)\) (?:already exists|is not present|is still referenced)/.exec(detail || '')
+  if (!match) return null
+  let columns = match[1].split(', ')
+  let values = columns.length === 1 ? [match[2]] : match[2].split(', ')
+  if (values.length !== columns.length) return null
+
+  let key = {}
+  columns.forEach(function (column, i) {
+    key[column.replace(/^"(.*)"$/, '$1').replace(/""/g, '"')] = values[i]
+  })
+  return key
+}
+
+// sql with a caret under the character position points at (counting from 1)
+function sqlWithCaret (sql, position) {
+  let index = Number(position) - 1
+  if (!position || !(index >= 0 && index <= sql.length)) return sql
+  let lineStart = sql.lastIndexOf('\n', index - 1) + 1
+  let lineEnd = sql.indexOf('\n', index)
+  if (lineEnd === -1) lineEnd = sql.length
+  let caret = sql.slice(lineStart, index).replace(/[^\t]/g, ' ') + '^'
+  return sql.slice(0, lineEnd) + '\n' + caret + sql.slice(lineEnd)
+}
+
+class Timeout extends Error {
+  constructor (timeout, sql) {
+    super()
+    this.name = 'Timeout'
+    this.timeout = timeout
+    this.sql = sql
+    this.message = 'Timed out after ' + timeout + 'ms' + (sql ? '\n' + sql : '')
+  }
+}
+
+class PoolEnding extends Error {
+  constructor () {
+    super()
+    this.name = 'PoolEnding'
+    this.message = 'The pool is ending, no new queries are accepted'
+  }
+}
+
+class AcquireTimeout extends Error {
+  constructor (timeout, pool) {
+    super()
+    this.name = 'AcquireTimeout'
+    this.poolSize = (pool.options && pool.options.max) || pool.totalCount
+    this.inUse = pool.totalCount - pool.idleCount
+    this.waiting = pool.waitingCount
+    this.message = 'Timed out after ' + timeout + 'ms waiting for a connection, with ' +
+      this.inUse + ' of ' + this.poolSize + ' connections in use and ' +
+      this.waiting + ' waiting'
+  }
+}
+
+class LockNotAvailable extends Error {
+  constructor (key) {
+    super()
+    this.name = 'LockNotAvailable'
+    this.message = 'Advisory lock ' + inspect(key) + ' is not available'
+    this.key = key
+  }
+}
+
 function stringifyParameters (params) {
   return params.map(function (p, i) {
     return '\n  $' + (i + 1) + ': ' + typeof p + ' ' + inspect(p)
   }).join('')
 }
 
+function queryArgs (client, args) {
+  if (args[0] && args[0].__simplePostgresStatement) {
+    let statement = args[0].__simplePostgresStatement
+    return [statement.text, args[1], statement.name]
+  }
+  if (canGetRawSqlFrom(args[0])) {
+    let params = args[1] ? args[1].slice() : []
+    return [buildSql(args[0], params, client), params]
+  }
+  if (Array.isArray(args[0])) args = sqlTemplate(client, args)
+  return args
+}
+
+function millisSince (start) {
+  let diff = process.hrtime(start)
+  return diff[0] * 1e3 + diff[1] / 1e6
+}
+
+function createHooks (server, explain, onHookError) {
+  let hooks = server.hooks || {}
+  let log = server.log
+  let onSlowQuery = server.onSlowQuery || DO_NOTHING
+  // only time queries when there's something to report slow ones to
+  let slowQueryMillis = (server.onSlowQuery || log || typeof hooks.onSlowQuery === 'function')
+    ? server.slowQueryMillis
+    : null
+  if (
+    !log &&
+    !slowQueryMillis &&
+    !HOOKS.some(function (name) { return typeof hooks[name] === 'function' })
+  ) {
+    return null
+  }
+
+  function emit (name, event) {
+    try {
+      if (log) log(name, event)
+      if (typeof hooks[name] === 'function') hooks[name](event)
+    } catch (err) {
+      onHookError(err)
+    }
+  }
+
+  function slowQuery (event, sql, params, stack) {
+    let report = {
+      sql: event.sql,
+      params: event.params,
+      block: event.block,
+      duration: event.duration,
+      error: event.error,
+      stack: stack.replace(/^.+\n/, '')
+    }
+
+    let explaining = server.explainSlowQueries
+      ? explain(sql, params, server.explainSlowQueries === 'analyze').then(function onPlan (plan) {
+        report.plan = plan
+      }, function onExplainFail (err) {
+        report.explainError = err
+      })
+      : Promise.resolve()
+
+    explaining.then(function onReport () {
+      emit('onSlowQuery', report)
+      onSlowQuery(report)
+    }).catch(onHookError)
+  }
+
+  return {
+    queryEvent (client, sql, params) {
+      return {
+        sql: sql,
+        params: hooks.redactParams && params ? hooks.redactParams(params, sql) : params,
+        block: client.__simplePostgresBlock || null
+      }
+    },
+    emit: emit,
+    finish (client, event, sql, params, stack) {
+      emit(event.error ? 'onError' : 'onResult', event)
+      if (slowQueryMillis && event.duration >= slowQueryMillis && !client.__simplePostgresExplaining) {
+        slowQuery(event, sql, params, stack)
+      }
+    }
+  }
+}
+
+function statementName (sql) {
+  return 'simple_postgres_' + createHash('sha1').update(sql).digest('hex')
+}
+
+// keep track of the statements prepared on each client, and deallocate the
+// least recently used ones once there are too many
+function rememberStatement (client, name) {
+  let cache = client.__simplePostgresStatements
+  if (!cache) return
+  cache.names.delete(name)
+  cache.names.set(name, true)
+
+  // deallocating in a failed transaction would fail too
+  if (client.__simplePostgresBlock === 'transaction') return
+
+  for (let old of cache.names.keys()) {
+    if (cache.names.size <= cache.size) break
+    cache.names.delete(old)
+    if (client.connection.parsedStatements[old]) {
+      delete client.connection.parsedStatements[old]
+      client.query('DEALLOCATE ' + escape.identifier(old), DO_NOTHING)
+    }
+  }
+}
+
+function linkPrepared (iface) {
+  iface.prepare = function prepare (sql) {
+    let statement = {
+      __simplePostgresStatement: { name: statementName(sql), text: sql }
+    }
+    for (let methodName of RESULT_METHODS) {
+      statement[methodName] = function (params, options) {
+        return iface[methodName](statement, params, options)
+      }
+    }
+    return statement
+  }
+  iface.prepared = RESULT_METHODS.reduce(function (prepared, methodName) {
+    prepared[methodName] = function (strings, ...values) {
+      let [sql, params] = sqlTemplate(null, [strings, ...values])
+      return iface[methodName](iface.prepare(sql), params)
+    }
+    prepared[methodName].displayName = 'prepared_' + methodName
+    return prepared
+  }, {})
+  return iface
+}
+
 function thenWithCancel (promise, fn) {
   let newPromise = promise.then(fn)
   newPromise.cancel = promise.cancel.bind(promise)
   return newPromise
 }
 
+// query methods take an options object after their params, but template
+// string calls can't, so they get theirs from db.with(options)
+function queryOptions (methodName, args, defaults) {
+  if (Array.isArray(args[0])) return [args, defaults]
+  let options = args[2] ? Object.assign({}, defaults, args[2]) : defaults
+  // copyFrom has options of its own
+  if (methodName !== 'copyFrom') args = args.slice(0, 2)
+  return [args, options]
+}
+
+function describeSql (args) {
+  try {
+    if (args[0] && args[0].__simplePostgresStatement) return args[0].__simplePostgresStatement.text
+    if (canGetRawSqlFrom(args[0])) return buildSql(args[0], [], null)
+    if (Array.isArray(args[0])) return sqlTemplate(null, args.slice())[0]
+  } catch (err) {}
+  return String(args[0])
+}
+
+// cancel the promise start returns when options.signal aborts, or once
+// options.timeout milliseconds have passed
+function abortable (start, options, args) {
+  let signal = options && options.signal
+  let timeout = options && options.timeout
+  if (!signal && !timeout) return start()
+  if (signal && signal.aborted) return cancelledQuery()
+
+  let promise = start()
+  let reason = null
+  let timer
+  let rejectAborted
+  let aborted = new Promise(function (resolve, reject) { rejectAborted = reject })
+  // don't wait for the cancel to finish, which can take as long as it takes
+  // for a connection to free up, it carries on in the background
+  function abort (err) {
+    if (reason) return
+    reason = err
+    promise.cancel()
+    rejectAborted(err)
+  }
+  function onAbort () {
+    abort(new Cancel())
+  }
+  function cleanUp () {
+    clearTimeout(timer)
+    if (signal) signal.removeEventListener('abort', onAbort)
+  }
+
+  if (signal) signal.addEventListener('abort', onAbort)
+  if (timeout) {
+    timer = setTimeout(function onTimeout () {
+      abort(new Timeout(timeout, args && describeSql(args)))
+    }, timeout)
+  }
+
+  let result = Promise.race([aborted, promise.then(function onResult (value) {
+    cleanUp()
+    if (reason) throw reason
+    return value
+  }, function onError (err) {
+    cleanUp()
+    throw reason || err
+  })])
+  result.cancel = promise.cancel
+  return result
+}
+
+// adds every query method to target, run with run(methodName, args)
+function linkQueries (target, run, suffix, defaults) {
+  return Object.keys(INTERFACE).reduce(function linkQuery (i, methodName) {
+    i[methodName] = function (...args) {
+      let [callArgs, options] = queryOptions(methodName, args, defaults)
+      return abortable(function () { return run(methodName, callArgs) }, options, callArgs)
+    }
+    i[methodName].displayName = methodName + suffix
+    return i
+  }, target)
+}
+
 function sqlTemplate (client, values) {
   let strings = values.shift()
+  let params = []
+  // undefined is sent as null, the same as in a params array
+  values = values.map(function (v) { return typeof v === 'undefined' ? null : v })
+  let sql = template(strings, ...values).__buildSql(params, client)
+  return [sql, params]
+}
+
+function template (strings, ...values) {
   let stringsLength = strings.length
   let valuesLength = values.length
   let maxLength = Math.max(stringsLength, valuesLength)
-  let sql = ''
-  let params = []
-  let val
-  for (let i = 0; i < maxLength; i++) {
-    if (i < stringsLength) {
-      val = strings[i]
-      if (canGetRawSqlFrom(val)) {
-        sql += val.__unsafelyGetRawSql(client)
-      } else {
-        sql += val
+
+  return {
+    __unsafelyGetRawSql (client) {
+      let sql = ''
+      for (let i = 0; i < maxLength; i++) {
+        if (i < stringsLength) {
+          sql += strings[i]
+        }
+        if (i < valuesLength) {
+          if (canGetRawSqlFrom(values[i])) {
+            sql += values[i].__unsafelyGetRawSql(client)
+          } else {
+            sql += escape.literal(values[i])
+          }
+        }
       }
-    }
-    if (i < valuesLength) {
-      val = values[i]
-      if (canGetRawSqlFrom(val)) {
-        sql += val.__unsafelyGetRawSql(client)
-      } else {
-        sql += '$' + params.push(val)
+      return sql
+    },
+    __buildSql (params, client) {
+      let sql = ''
+      for (let i = 0; i < maxLength; i++) {
+        if (i < stringsLength) {
+          sql += strings[i]
+        }
+        if (i < valuesLength) {
+          sql += buildSql(values[i], params, client)
+        }
       }
+      return sql
     }
   }
-
-  return [sql, params]
 }
 
 function templateIdentifier (value) {
@@ -161,22 +674,23 @@ function templateIdentifiers (identifiers, separator) {
   }
 }
 
-function templateLiteral (value) {
-  value = escape.literal(value)
+function templateLiteral (value, type) {
+  if (!type) return templateItems([value])
+  type = escape.type(type)
   return {
     __unsafelyGetRawSql: function __unsafelyGetRawSql () {
-      return value
+      return escape.literal(value, type)
+    },
+    __buildSql: function __buildSql (params, client) {
+      return buildSql(value, params, client) + '::' + type
     }
   }
 }
 
 function templateLiterals (literals, separator) {
-  let value = escape.literals(literals, separator)
-  return {
-    __unsafelyGetRawSql: function __unsafelyGetRawSql () {
-      return value
-    }
-  }
+  return templateItems(literals.map(function (literal) {
+    return templateLiteral(literal)
+  }), separator)
 }
 
 function templateItems (items, separator) {
@@ -187,86 +701,868 @@ function templateItems (items, separator) {
           ? v.__unsafelyGetRawSql(client)
           : escape.literal(v)
       ).join(separator || ', ')
+    },
+    __buildSql: function __buildSql (params, client) {
+      return items.map((v) =>
+        buildSql(v, params, client)
+      ).join(separator || ', ')
     }
   }
 }
 
-function canGetRawSqlFrom (v) {
-  return (
-    typeof v === 'object' &&
-    v !== null &&
-    typeof v.__unsafelyGetRawSql === 'function' &&
-    Object.keys(v).length === 1
-  )
-}
-
-function withConnection (connection, work, cancellable) {
-  let client
-  let done
-  let cancelled
-  let activeWork
-  let finishCancel
-
-  let promise =
-    connection.then(function onConnect (conn) {
-      client = conn[0]
-      done = conn[1]
-
-      if (cancelled) {
-        setImmediate(finishCancel)
-        throw new Cancel()
+function templateValues (rows, columns) {
+  if (!columns && rows.length && !Array.isArray(rows[0])) {
+    columns = []
+    for (let row of rows) {
+      for (let column of Object.keys(row)) {
+        if (columns.indexOf(column) === -1) columns.push(column)
       }
+    }
+  }
 
-      activeWork = work(client)
-      return activeWork
-    }).then(function onResult (result) {
-      if (cancelled) {
-        setImmediate(finishCancel)
-        throw new Cancel()
-      }
+  return templateItems(rows.map(function (row) {
+    let values = Array.isArray(row)
+      ? row
+      : columns.map(function (column) {
+        return typeof row[column] === 'undefined' ? DEFAULT : row[column]
+      })
+    return template(['(', ')'], templateItems(values))
+  }))
+}
 
-      done()
+function templateSet (obj, column) {
+  column = column || sameKey
+  return templateItems(definedKeys(obj).map(function (key) {
+    return template(['', ' = ', ''], templateIdentifier(column(key)), obj[key])
+  }))
+}
 
-      return result
-    }).catch(function onError (err) {
-      if (done) {
-        if (err instanceof Error && err.ABORT_CONNECTION) {
-          // this is a really bad one, remove the connection from the pool
-          done(err)
-        } else {
-          done()
-        }
-      }
+function templateWhere (obj, column) {
+  column = column || sameKey
+  let conditions = definedKeys(obj).map(function (key) {
+    let value = obj[key]
+    let identifier = templateIdentifier(column(key))
+    if (value === null) {
+      return template(['', ' IS NULL'], identifier)
+    } else if (Array.isArray(value)) {
+      return value.length
+        ? template(['', ' IN (', ')'], identifier, templateItems(value))
+        : FALSE
+    }
+    return template(['', ' = ', ''], identifier, value)
+  })
+  return conditions.length ? templateItems(conditions, ' AND ') : TRUE
+}
 
-      if (cancelled) {
-        setImmediate(finishCancel)
-        throw new Cancel()
-      }
+function templateJoin (fragments, separator) {
+  return templateItems(fragments.filter(function (fragment) {
+    return fragment !== null && typeof fragment !== 'undefined' && fragment !== false
+  }), separator)
+}
 
-      throw err
-    })
+function definedKeys (obj) {
+  return Object.keys(obj).filter(function (key) {
+    return typeof obj[key] !== 'undefined'
+  })
+}
 
-  if (cancellable) {
-    promise.cancel = function () {
-      cancelled = true
-      if (activeWork !== null && typeof activeWork === 'object' && typeof activeWork.cancel === 'function') {
-        return activeWork.cancel()
-      } else {
-        return new Promise(function (resolve) { finishCancel = resolve })
-      }
+function sameKey (key) {
+  return key
+}
+
+// configure({ transformKeys }) renames result columns with fromColumn, and
+// the keys given to set and where back again with toColumn
+const KEY_TRANSFORMS = {
+  camelCase: {
+    fromColumn (key) {
+      return key.replace(/(?!^)_([a-z])/g, function (match, letter) { return letter.toUpperCase() })
+    },
+    toColumn (key) {
+      return key.replace(/[A-Z]/g, function (letter) { return '_' + letter.toLowerCase() })
     }
   }
+}
 
-  return promise
+function keyTransform (name) {
+  if (!name) return null
+  if (!KEY_TRANSFORMS.hasOwnProperty(name)) {
+    throw new Error('Unknown key transform: ' + name)
+  }
+  return KEY_TRANSFORMS[name]
 }
 
-function getApplicationName () {
-  let path = findRoot(process.argv[1] || process.cwd()) + '/package.json'
-  let pkg = JSON.parse(readFileSync(path, 'utf8'))
+function transformRow (client, row) {
+  let keys = client.__simplePostgresKeys
+  if (!keys || !row) return row
+  let transformed = {}
+  for (let key of Object.keys(row)) {
+    transformed[keys.fromColumn(key)] = row[key]
+  }
+  return transformed
+}
+
+function rawSql (sql) {
+  return {
+    __unsafelyGetRawSql () {
+      return sql
+    }
+  }
+}
+
+const DEFAULT = rawSql('DEFAULT')
+const TRUE = rawSql('true')
+const FALSE = rawSql('false')
+
+// Postgres can't bind any more parameters than this to one statement
+const MAX_PARAMETERS = 65535
+
+function tableSql (table) {
+  if (canGetRawSqlFrom(table)) return table
+  return Array.isArray(table) ? templateIdentifiers(table, '.') : templateIdentifier(table)
+}
+
+function onConflictSql (onConflict, columns, column) {
+  if (!onConflict) return rawSql('')
+  let target = onConflict.target
+    ? ' (' + escape.identifiers([].concat(onConflict.target).map(column)) + ')'
+    : ''
+  if (onConflict.doNothing) return rawSql(' ON CONFLICT' + target + ' DO NOTHING')
+  if (!target) throw new Error('onConflict needs a target to update')
+
+  let update = onConflict.update
+  if (update === true) {
+    let targets = [].concat(onConflict.target)
+    update = columns.filter(function (key) { return targets.indexOf(key) === -1 })
+  }
+  if (Array.isArray(update)) {
+    if (!update.length) throw new Error('onConflict has no columns to update')
+    return rawSql(' ON CONFLICT' + target + ' DO UPDATE SET ' + update.map(function (key) {
+      let identifier = escape.identifier(column(key))
+      return identifier + ' = EXCLUDED.' + identifier
+    }).join(', '))
+  }
+  if (update && typeof update === 'object') {
+    return template([' ON CONFLICT' + target + ' DO UPDATE SET ', ''], templateSet(update, column))
+  }
+  throw new Error('onConflict needs update or doNothing')
+}
+
+function returningSql (returning, column) {
+  if (!returning) return rawSql('')
+  if (returning === true || returning === '*') return rawSql(' RETURNING *')
+  return rawSql(' RETURNING ' + escape.identifiers([].concat(returning).map(column)))
+}
+
+// the INSERT statements for db.insert, with as many rows in each as will fit
+function insertStatements (table, rows, options, column) {
+  if (!rows.length) return []
+
+  let columns = []
+  for (let row of rows) {
+    for (let key of Object.keys(row)) {
+      if (columns.indexOf(key) === -1) columns.push(key)
+    }
+  }
+  if (!columns.length) throw new Error('Cannot insert rows without any columns')
+
+  let into = template(['INSERT INTO ', ' (', ') VALUES '], tableSql(table), templateIdentifiers(columns.map(column)))
+  let onConflict = onConflictSql(options.onConflict, columns, column)
+  let returning = returningSql(options.returning, column)
+
+  let update = options.onConflict && options.onConflict.update
+  let updateParameters = update && typeof update === 'object' && !Array.isArray(update)
+    ? definedKeys(update).length
+    : 0
+  let batchSize = Math.floor((MAX_PARAMETERS - updateParameters) / columns.length)
+
+  let statements = []
+  for (let i = 0; i < rows.length; i += batchSize) {
+    statements.push(template(['', '', '', ''],
+      into, templateValues(rows.slice(i, i + batchSize), columns), onConflict, returning
+    ))
+  }
+  return statements
+}
+
+// insert rows with conn, in a transaction of their own if they don't fit in
+// one statement and there's a transaction function to make one with
+function insertRows (conn, transaction, table, rowOrRows, options, column) {
+  options = options || {}
+  let single = !Array.isArray(rowOrRows)
+  let statements
+  try {
+    statements = insertStatements(table, single ? [rowOrRows] : rowOrRows, options, column || sameKey)
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  function run (conn, statement) {
+    return options.returning
+      ? conn.rows(statement)
+      : thenWithCancel(conn.query(statement), function (result) { return result.rowCount })
+  }
+
+  function runAll (conn) {
+    let results = []
+    return statements.reduce(function (previous, statement) {
+      return previous.then(function () {
+        return run(conn, statement)
+      }).then(function (result) {
+        results.push(result)
+      })
+    }, Promise.resolve()).then(function () { return results })
+  }
+
+  let running
+  if (statements.length === 1) {
+    running = thenWithCancel(run(conn, statements[0]), function (result) { return [result] })
+  } else if (statements.length > 1 && transaction) {
+    running = transaction(runAll)
+  } else {
+    running = runAll(conn)
+  }
+
+  function onInsert (results) {
+    if (!options.returning) {
+      return results.reduce(function (count, rowCount) { return count + rowCount }, 0)
+    }
+    let rows = [].concat(...results)
+    return single ? rows[0] : rows
+  }
+  return running.cancel ? thenWithCancel(running, onInsert) : running.then(onInsert)
+}
+
+// add a value to the query, as a bind parameter unless it is a SQL fragment
+function buildSql (v, params, client) {
+  if (typeof v === 'undefined') {
+    throw new Error('Cannot use undefined as a SQL literal, use null instead')
+  } else if (!canGetRawSqlFrom(v)) {
+    return '$' + params.push(v)
+  } else if (typeof v.__buildSql === 'function') {
+    return v.__buildSql(params, client)
+  } else {
+    return v.__unsafelyGetRawSql(client)
+  }
+}
+
+function canGetRawSqlFrom (v) {
+  return (
+    typeof v === 'object' &&
+    v !== null &&
+    typeof v.__unsafelyGetRawSql === 'function' &&
+    Object.keys(v).length === (typeof v.__buildSql === 'function' ? 2 : 1)
+  )
+}
+
+function withConnection (connection, work, cancellable) {
+  let client
+  let done
+  let cancelled
+  let activeWork
+  let finishCancel = DO_NOTHING
+
+  let promise =
+    connection.then(function onConnect (conn) {
+      client = conn[0]
+      done = conn[1]
+
+      if (cancelled) {
+        setImmediate(finishCancel)
+        throw new Cancel()
+      }
+
+      activeWork = work(client)
+      return activeWork
+    }).then(function onResult (result) {
+      if (cancelled) {
+        setImmediate(finishCancel)
+        throw new Cancel()
+      }
+
+      done()
+
+      return result
+    }).catch(function onError (err) {
+      if (done) {
+        if (err instanceof Error && (err.ABORT_CONNECTION || isTransientError(err))) {
+          // this is a really bad one, remove the connection from the pool
+          done(err)
+        } else {
+          done()
+        }
+      }
+
+      if (cancelled) {
+        setImmediate(finishCancel)
+        throw new Cancel()
+      }
+
+      throw err
+    })
+
+  if (cancellable) {
+    promise.cancel = function () {
+      cancelled = true
+      if (activeWork !== null && typeof activeWork === 'object' && typeof activeWork.cancel === 'function') {
+        return activeWork.cancel()
+      } else {
+        return new Promise(function (resolve) { finishCancel = resolve })
+      }
+    }
+  }
+
+  return promise
+}
+
+// tracks the queries a connection or transaction block is running, so that
+// cancelling the block can cancel them and refuse to start any more
+function blockControl () {
+  return { cancelled: false, active: new Set() }
+}
+
+function cancelBlock (control) {
+  control.cancelled = true
+  return Promise.all(Array.from(control.active, function (query) { return query.cancel() }))
+}
+
+function cancellableBlock (control, promise) {
+  promise.cancel = function cancel () {
+    return cancelBlock(control).then(function () {
+      return promise.then(DO_NOTHING, DO_NOTHING)
+    })
+  }
+  return promise
+}
+
+function cancelledQuery () {
+  let promise = Promise.reject(new Cancel())
+  promise.cancel = function cancel () { return Promise.resolve() }
+  return promise
+}
+
+function connectionInterface (client, inTransaction, control) {
+  control = control || blockControl()
+  let suffix = inTransaction ? '_in_transaction' : '_in_connection'
+
+  function run (methodName, args) {
+    if (control.cancelled) return cancelledQuery()
+    let query = INTERFACE[methodName](client, ...args)
+    control.active.add(query)
+    function forget () { control.active.delete(query) }
+    query.then(forget, forget)
+    return query
+  }
+
+  let connIface = linkQueries({}, run, suffix)
+  connIface.with = function withOptions (options) {
+    return linkPrepared(linkQueries({}, run, suffix, options))
+  }
+
+  function open () {
+    return Promise.resolve({ client: client, release: DO_NOTHING })
+  }
+
+  connIface.cursor = function cursor (...args) {
+    return createCursor(open, !inTransaction, args)
+  }
+  connIface.copyTo = function copyTo (sql, options) {
+    return createCopyTo(open, sql, options)
+  }
+
+  return linkPrepared(connIface)
+}
+
+function savepointStatements (state) {
+  let name = escape.identifier('simple_postgres_savepoint_' + (++state.savepoints))
+  return {
+    begin: 'SAVEPOINT ' + name,
+    commit: 'RELEASE SAVEPOINT ' + name,
+    rollback: 'ROLLBACK TO SAVEPOINT ' + name
+  }
+}
+
+function transactionBlock (client, statements, work, state, control) {
+  let connIface = connectionInterface(client, true, control)
+  let keys = client.__simplePostgresKeys
+  let trxIface = Object.assign(connIface, {
+    transaction: function nestedTransaction (nestedWork) {
+      return transactionBlock(client, savepointStatements(state), nestedWork, state, control)
+    },
+    insert: function insert (table, rows, options) {
+      return insertRows(trxIface, null, table, rows, options, keys && keys.toColumn)
+    },
+    advisoryXactLock: function advisoryXactLock (key, options) {
+      let lock
+      try {
+        lock = advisoryLockQuery(advisoryLockFunction(options || {}, true), key)
+      } catch (err) {
+        return Promise.reject(err)
+      }
+      return thenWithCancel(connIface.value(...lock), function onLock (acquired) {
+        return acquired !== false
+      })
+    }
+  })
+  let result
+  let inTransaction
+
+  // begin, commit and rollback still run after the block is cancelled
+  return (
+    INTERFACE.query(client, statements.begin)
+      .then(function onBegin () {
+        inTransaction = true
+        if (control.cancelled) throw new Cancel()
+        return work(trxIface)
+      })
+      .then(function onResult (_result) {
+        if (control.cancelled) throw new Cancel()
+        result = _result
+        return INTERFACE.query(client, statements.commit)
+      })
+      .then(function onCommit () {
+        return result
+      })
+      .catch(function onError (err) {
+        if (!inTransaction) throw err
+
+        return (
+          INTERFACE.query(client, statements.rollback)
+            .catch(function onRollbackFail (rollbackErr) {
+              err = (err instanceof Error ? err.message + '\n' + err.stack : err)
+              rollbackErr = (rollbackErr instanceof Error ? rollbackErr.message + '\n' + rollbackErr.stack : rollbackErr)
+              let bigErr = new Error(
+                'Failed to execute rollback after error\n' +
+                err + '\n\n' + rollbackErr
+              )
+              bigErr.ABORT_CONNECTION = true
+              throw bigErr
+            })
+            .then(function onRollback () {
+              throw err
+            })
+        )
+      })
+  )
+}
+
+// SET LOCAL and set_config(..., true) only last until the transaction ends,
+// so none of it is left on the connection when it goes back to the pool.
+// resolves with a function which puts the role and settings back as they
+// were, for when the transaction is only a savepoint, which they outlive
+function applySession (trx, options, nested) {
+  let settings = options.settings || {}
+  let names = definedKeys(settings)
+  let previous = null
+
+  let applying = !nested ? Promise.resolve() : trx.row(
+    "SELECT current_setting('role') AS role, array(" +
+      'SELECT current_setting(name, true) FROM unnest($1::text[]) WITH ORDINALITY AS s(name, i) ORDER BY i' +
+    ') AS settings',
+    [names]
+  ).then(function onPrevious (row) {
+    previous = row
+  })
+
+  if (options.role) {
+    applying = applying.then(function onPrevious () {
+      return trx.query('SET LOCAL ROLE ' + escape.identifier(options.role))
+    })
+  }
+
+  if (names.length) {
+    applying = applying.then(function onRole () {
+      return setConfigs(trx, names, names.map(function (name) { return settings[name] }))
+    })
+  }
+
+  return applying.then(function onApplied () {
+    return function restore () {
+      if (!previous) return Promise.resolve()
+      return trx.query("SELECT set_config('role', $1, true)", [previous.role]).then(function onRole () {
+        if (names.length) return setConfigs(trx, names, previous.settings)
+      })
+    }
+  })
+}
+
+// null clears a setting, like it does in SET
+function setConfigs (trx, names, values) {
+  return trx.query(
+    'SELECT set_config(name, value, true) FROM unnest($1::text[], $2::text[]) AS s(name, value)',
+    [names, values.map(function (value) { return value === null ? '' : String(value) })]
+  )
+}
+
+const ISOLATION_LEVELS = [
+  'serializable',
+  'repeatable read',
+  'read committed',
+  'read uncommitted'
+]
+
+// serialization_failure, deadlock_detected
+const RETRYABLE_TRANSACTION_ERRORS = ['40001', '40P01']
+
+function beginStatement (options) {
+  let sql = 'begin'
+  if (options.isolationLevel) {
+    let level = String(options.isolationLevel).toLowerCase()
+    if (ISOLATION_LEVELS.indexOf(level) === -1) {
+      throw new Error('Unknown transaction isolation level: ' + options.isolationLevel)
+    }
+    sql += ' isolation level ' + level
+  }
+  if (typeof options.readOnly === 'boolean') {
+    sql += options.readOnly ? ' read only' : ' read write'
+  }
+  if (typeof options.deferrable === 'boolean') {
+    sql += options.deferrable ? ' deferrable' : ' not deferrable'
+  }
+  return sql
+}
+
+const LISTEN_RETRY = { minDelay: 100, maxDelay: 10000 }
+
+function retryPolicy (retry) {
+  if (!retry) {
+    return { attempts: 1 }
+  } else if (retry === true) {
+    retry = {}
+  } else if (typeof retry === 'number') {
+    retry = { attempts: retry }
+  }
+  return Object.assign({
+    attempts: 3,
+    minDelay: 10,
+    maxDelay: 1000
+  }, retry)
+}
+
+function retryDelay (retry, attempts) {
+  // exponential backoff with full jitter
+  let ceiling = Math.min(retry.maxDelay, retry.minDelay * Math.pow(2, attempts - 1))
+  return Math.round(Math.random() * ceiling)
+}
+
+function delay (ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms) })
+}
+
+// lock_not_available, raised when lock_timeout expires
+const LOCK_NOT_AVAILABLE = '55P03'
+
+function advisoryLockFunction (options, xact) {
+  return 'pg_' + (options.wait === false ? 'try_' : '') + 'advisory_' + (xact ? 'xact_' : '') +
+    'lock' + (options.shared ? '_shared' : '')
+}
+
+function advisoryLockQuery (fn, key) {
+  if (typeof key === 'string') {
+    // use the first 64 bits of the md5 of string keys
+    return ['SELECT ' + fn + "(('x' || substr(md5($1), 1, 16))::bit(64)::bigint)", [key]]
+  }
+  if (!Number.isSafeInteger(key) && !escape.isBigInt(key)) {
+    throw new Error('Advisory lock keys must be strings or integers, got ' + inspect(key))
+  }
+  return ['SELECT ' + fn + '($1::bigint)', [String(key)]]
+}
+
+// holds a session level advisory lock on client while work runs
+function advisoryLockBlock (client, key, work, options) {
+  let control = blockControl()
+  let lockControl = blockControl()
+  let lock = advisoryLockQuery(advisoryLockFunction(options, false), key)
+  let unlock = advisoryLockQuery('pg_advisory_unlock' + (options.shared ? '_shared' : ''), key)
+  let locking
+
+  if (options.timeout) {
+    // session level locks outlive the transaction, which just scopes lock_timeout
+    locking = transactionBlock(client, {
+      begin: 'begin',
+      commit: 'commit',
+      rollback: 'rollback'
+    }, function lockWithTimeout (trx) {
+      return trx.query("SELECT set_config('lock_timeout', $1, true)", [options.timeout + 'ms'])
+        .then(function onTimeoutSet () {
+          return trx.value(...lock)
+        })
+    }, { savepoints: 0 }, lockControl)
+  } else {
+    locking = connectionInterface(client, false, lockControl).value(...lock)
+  }
+
+  function release () {
+    return INTERFACE.query(client, ...unlock).catch(function onUnlockFail (unlockErr) {
+      // drop the connection, which will release the lock too
+      unlockErr.ABORT_CONNECTION = true
+      throw unlockErr
+    })
+  }
+
+  let promise = locking.then(function onLock (acquired) {
+    if (acquired === false) throw new LockNotAvailable(key)
+    if (control.cancelled) {
+      return release().then(function onUnlock () { throw new Cancel() })
+    }
+
+    let result
+    let failed = false
+    return Promise.resolve(work(connectionInterface(client, false, control))).then(function onResult (_result) {
+      result = _result
+    }, function onError (err) {
+      failed = true
+      result = err
+    }).then(function onSettled () {
+      // the lock is released even if the block was cancelled
+      return release()
+    }).then(function onUnlock () {
+      if (failed) throw result
+      return result
+    })
+  }, function onLockFail (err) {
+    if (err instanceof SqlError && err.code === LOCK_NOT_AVAILABLE) throw new LockNotAvailable(key)
+    // the server may have granted the lock before the query was cancelled or
+    // failed, so drop the connection rather than risk leaving it held
+    if (err instanceof Error) err.ABORT_CONNECTION = true
+    throw err
+  })
+
+  promise.cancel = function cancel () {
+    return Promise.all([cancelBlock(lockControl), cancelBlock(control)]).then(function () {
+      return promise.then(DO_NOTHING, DO_NOTHING)
+    })
+  }
+
+  return promise
+}
+
+let cursorCount = 0
+
+function createCursor (open, ownTransaction, args) {
+  let isTemplate = Array.isArray(args[0])
+  let options = (!isTemplate && args[2]) || {}
+  let batchSize = options.batchSize || 100
+  let name = escape.identifier('simple_postgres_cursor_' + (++cursorCount))
+  let opening
+  let closing
+  let activeFetch
+
+  function start () {
+    if (!opening) {
+      opening = open().then(function onOpen (conn) {
+        let [sql, params] = queryArgs(conn.client, isTemplate ? args.slice() : args.slice(0, 2))
+        return (ownTransaction ? INTERFACE.query(conn.client, 'begin') : Promise.resolve())
+          .then(function onBegin () {
+            return INTERFACE.query(conn.client, 'declare ' + name + ' no scroll cursor for ' + sql, params)
+          })
+          .then(function onDeclare () {
+            return conn
+          }, function onDeclareFail (err) {
+            return finish(conn, err).then(function () { throw err })
+          })
+      })
+    }
+    return opening
+  }
+
+  function finish (conn, err) {
+    let sql
+    if (ownTransaction) {
+      sql = err ? 'rollback' : 'commit'
+    } else if (!err) {
+      sql = 'close ' + name
+    }
+
+    if (!sql) {
+      conn.release()
+      return Promise.resolve()
+    }
+
+    return INTERFACE.query(conn.client, sql).then(function onClose () {
+      conn.release()
+    }, function onCloseFail (closeErr) {
+      if (ownTransaction) closeErr.ABORT_CONNECTION = true
+      conn.release(closeErr)
+      if (!err) throw closeErr
+    })
+  }
+
+  function close (err) {
+    if (!closing) {
+      closing = opening
+        ? opening.then(function (conn) { return finish(conn, err) }, DO_NOTHING)
+        : Promise.resolve()
+    }
+    return closing
+  }
+
+  function fetch (size) {
+    // the size goes into the sql as is
+    if (!Number.isSafeInteger(size) || size < 1) {
+      return Promise.reject(new Error('Cursor batch sizes must be positive integers, got ' + inspect(size)))
+    }
+    if (closing) return closing.then(function () { return [] })
+    return start().then(function onStart (conn) {
+      if (closing) return []
+      activeFetch = INTERFACE.rows(conn.client, 'fetch forward ' + size + ' from ' + name)
+      return activeFetch
+    }).then(function onFetch (rows) {
+      activeFetch = null
+      if (rows.length < size) {
+        return close().then(function () { return rows })
+      }
+      return rows
+    }, function onFetchFail (err) {
+      activeFetch = null
+      return close(err).then(function () { throw err })
+    })
+  }
+
+  function iterator (next) {
+    return {
+      next: next,
+      return () {
+        return close().then(function () { return { done: true } })
+      },
+      [Symbol.asyncIterator] () {
+        return this
+      }
+    }
+  }
+
+  return {
+    [Symbol.asyncIterator] () {
+      let buffer = []
+      return iterator(function nextRow () {
+        if (buffer.length) {
+          return Promise.resolve({ value: buffer.shift(), done: false })
+        }
+        return fetch(batchSize).then(function (rows) {
+          buffer = rows
+          return buffer.length
+            ? { value: buffer.shift(), done: false }
+            : { done: true }
+        })
+      })
+    },
+    batches (size) {
+      return iterator(function nextBatch () {
+        return fetch(size || batchSize).then(function (rows) {
+          return rows.length
+            ? { value: rows, done: false }
+            : { done: true }
+        })
+      })
+    },
+    cancel () {
+      if (activeFetch) {
+        let fetching = activeFetch
+        return Promise.resolve(fetching.cancel()).then(function () {
+          return fetching.catch(DO_NOTHING)
+        }).then(function () {
+          return close(new Cancel())
+        })
+      }
+      return close()
+    }
+  }
+}
+
+function createCopyTo (open, sql, options) {
+  let rows = Boolean(options && options.rows)
+  let decoder = new StringDecoder('utf8')
+  let stack = (new Error()).stack
+  let partial = ''
+  let client
+  let copyStream
+  let cancelled
+  let finished
+  let onFinish
+  let done = new Promise(function (resolve) { onFinish = resolve })
+
+  let output = new Transform({
+    readableObjectMode: rows,
+    transform (chunk, encoding, callback) {
+      if (!rows) return callback(null, chunk)
+      let lines = (partial + decoder.write(chunk)).split('\n')
+      partial = lines.pop()
+      for (let line of lines) {
+        this.push(copy.decodeRow(line))
+      }
+      callback()
+    },
+    destroy (err, callback) {
+      if (copyStream && !finished) {
+        cancelled = true
+        copyStream.unpipe(output)
+        copyStream.resume()
+        cancelBackend(client)
+      }
+      callback(err)
+    }
+  })
+
+  output.cancel = function cancel () {
+    if (!finished) output.destroy(new Cancel())
+    return done
+  }
+
+  open().then(function onOpen (conn) {
+    function finish (err) {
+      if (finished) return
+      finished = true
+      conn.release()
+      onFinish()
+      if (err && !output.destroyed) {
+        output.destroy(cancelled ? new Cancel() : sqlError(sql, [], stack, err, []))
+      }
+    }
+
+    if (output.destroyed) return finish()
+
+    client = conn.client
+    // COPY can't take bind parameters
+    if (canGetRawSqlFrom(sql)) sql = sql.__unsafelyGetRawSql(client)
+    copyStream = client.query(copyStreams.to(sql))
+    copyStream.on('error', finish)
+    copyStream.on('end', function onEnd () { finish() })
+    copyStream.pipe(output)
+  }, function onOpenFail (err) {
+    finished = true
+    onFinish()
+    output.destroy(err)
+  })
+
+  return output
+}
+
+// ask the server to cancel whatever the client is running, out of band
+function cancelBackend (client) {
+  return new Promise(function (resolve) {
+    let params = client.connectionParameters
+    // only pg's own clients can be cancelled out of band
+    if (!params) return resolve()
+    let con = new Connection()
+    con.on('connect', function onConnect () {
+      con.cancel(client.processID, client.secretKey)
+    })
+    con.on('end', resolve)
+    con.on('error', resolve)
+    if (params.host && params.host.indexOf('/') === 0) {
+      con.connect(params.host + '/.s.PGSQL.' + params.port)
+    } else {
+      con.connect(params.port, params.host)
+    }
+  })
+}
+
+function getApplicationName () {
+  let path = findRoot(process.argv[1] || process.cwd()) + '/package.json'
+  let pkg = JSON.parse(readFileSync(path, 'utf8'))
   return pkg.name
 }
 
-function configure (server) {
+function parseServer (server) {
   if (typeof server === 'string') {
     server = Object.assign(
       parseConnectionString(server),
@@ -281,11 +1577,204 @@ function configure (server) {
       server[v] = server[v] !== 'false'
     }
   }
-  for (let v of ['idleTimeoutMillis', 'poolSize', 'max', 'statement_timeout']) {
+  for (let v of ['idleTimeoutMillis', 'poolSize', 'max', 'statement_timeout', 'slowQueryMillis', 'statementCacheSize', 'acquireTimeoutMillis']) {
     if (typeof server[v] === 'string') {
       server[v] = server[v] === 'false' ? false : Number(server[v])
     }
   }
+  return server
+}
+
+// the oids of types which don't need looking up, and of their array types
+const BUILTIN_TYPES = {
+  bool: [16, 1000],
+  bytea: [17, 1001],
+  int8: [20, 1016],
+  int2: [21, 1005],
+  int4: [23, 1007],
+  text: [25, 1009],
+  oid: [26, 1028],
+  json: [114, 199],
+  float4: [700, 1021],
+  float8: [701, 1022],
+  money: [790, 791],
+  varchar: [1043, 1015],
+  date: [1082, 1182],
+  time: [1083, 1183],
+  timestamp: [1114, 1115],
+  timestamptz: [1184, 1185],
+  interval: [1186, 1187],
+  timetz: [1266, 1270],
+  numeric: [1700, 1231],
+  uuid: [2950, 2951],
+  jsonb: [3802, 3807]
+}
+
+const TYPE_PARSERS = {
+  string (value) {
+    return value
+  },
+  number (value) {
+    return Number(value)
+  },
+  bigint (value) {
+    return global.BigInt(value)
+  }
+}
+
+function typeParser (type, parser) {
+  if (typeof parser === 'function') return parser
+  if (!TYPE_PARSERS.hasOwnProperty(parser)) {
+    throw new Error('Unknown parser for type ' + type + ': ' + inspect(parser))
+  }
+  return TYPE_PARSERS[parser]
+}
+
+function arrayParser (parse) {
+  return function parseArray (value) {
+    return pg.types.arrayParser.create(value, parse).parse()
+  }
+}
+
+// pg's types option, with the parsers from configure({ types }) in front of
+// pg's own. types is keyed by oid or type name, and names which aren't
+// built in are looked up by resolve before the first query.
+function createTypes (types) {
+  let parsers = new Map()
+  let unresolved = []
+  for (let type of Object.keys(types)) {
+    let parse = typeParser(type, types[type])
+    if (/^\d+$/.test(type)) {
+      parsers.set(Number(type), parse)
+    } else if (BUILTIN_TYPES.hasOwnProperty(type)) {
+      parsers.set(BUILTIN_TYPES[type][0], parse)
+      parsers.set(BUILTIN_TYPES[type][1], arrayParser(parse))
+    } else {
+      unresolved.push({ name: type, parse: parse })
+    }
+  }
+
+  let resolving = null
+  function resolve (client) {
+    if (!unresolved.length) return Promise.resolve()
+    if (!resolving) {
+      resolving = INTERFACE.rows(client,
+        'SELECT t.oid, t.typarray FROM unnest($1::text[]) WITH ORDINALITY AS n(name, i) ' +
+        'LEFT JOIN pg_type t ON t.oid = to_regtype(n.name) ORDER BY n.i',
+        [unresolved.map(function (type) { return type.name })]
+      ).then(function onTypes (rows) {
+        rows.forEach(function (row, i) {
+          if (row.oid === null) throw new Error('Unknown type: ' + unresolved[i].name)
+        })
+        rows.forEach(function (row, i) {
+          parsers.set(Number(row.oid), unresolved[i].parse)
+          if (Number(row.typarray)) parsers.set(Number(row.typarray), arrayParser(unresolved[i].parse))
+        })
+        unresolved = []
+      }).catch(function onTypesFail (err) {
+        // try again on the next connection, the type may exist by then
+        resolving = null
+        throw err
+      })
+    }
+    return resolving
+  }
+
+  return {
+    getTypeParser (oid, format) {
+      return (format !== 'binary' && parsers.get(oid)) || pg.types.getTypeParser(oid, format)
+    },
+    resolve: resolve
+  }
+}
+
+// upper bounds of the acquisition wait time histogram, in milliseconds
+const ACQUIRE_WAIT_BUCKETS = [1, 5, 10, 50, 100, 500, 1000, 5000, Infinity]
+
+function createStats () {
+  return {
+    activeQueries: 0,
+    queries: 0,
+    errors: 0,
+    cancels: 0,
+    acquireTimeouts: 0,
+    acquireWait: {
+      count: 0,
+      sum: 0,
+      buckets: ACQUIRE_WAIT_BUCKETS.map(function (le) { return { le: le, count: 0 } })
+    }
+  }
+}
+
+function recordAcquireWait (stats, millis) {
+  stats.acquireWait.count++
+  stats.acquireWait.sum += millis
+  // buckets are cumulative
+  for (let bucket of stats.acquireWait.buckets) {
+    if (millis <= bucket.le) bucket.count++
+  }
+}
+
+function poolStats (p) {
+  return {
+    total: p ? p.totalCount : 0,
+    idle: p ? p.idleCount : 0,
+    waiting: p ? p.waitingCount : 0
+  }
+}
+
+// pool.connect, giving up after timeout milliseconds
+function acquire (p, timeout) {
+  if (!timeout) return p.connect()
+  return new Promise(function (resolve, reject) {
+    let timedOut = false
+    let timer = setTimeout(function onTimeout () {
+      timedOut = true
+      reject(new AcquireTimeout(timeout, p))
+    }, timeout)
+    p.connect().then(function onConnect (client) {
+      clearTimeout(timer)
+      // too late, give it straight back
+      if (timedOut) return client.release()
+      resolve(client)
+    }, function onConnectFail (err) {
+      clearTimeout(timer)
+      reject(err)
+    })
+  })
+}
+
+// connection failures and server restarts, which are likely to go away on their own
+const TRANSIENT_ERRORS = [
+  'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT',
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03', // cannot_connect_now
+  '08000', '08001', '08003', '08004', '08006' // connection_exception
+]
+
+function isTransientError (err) {
+  return err instanceof Error && (
+    TRANSIENT_ERRORS.indexOf(err.code) !== -1 ||
+    /Connection terminated/.test(err.message)
+  )
+}
+
+const REPLICA_STRATEGIES = ['round-robin', 'least-busy']
+const REPLICA_RETRY = { minDelay: 1000, maxDelay: 60000 }
+
+// errors from a replica which mean it's unusable, rather than that the query was bad
+function isReplicaFailure (err) {
+  return err instanceof SqlError && (!err.code || /^(08|57P)/.test(err.code))
+}
+
+function configure (server) {
+  server = parseServer(server)
+  if (server.primary) {
+    server = Object.assign(server, parseServer(
+      typeof server.primary === 'string' ? server.primary : Object.assign({}, server.primary)
+    ))
+  }
 
   if ((server.poolSize || process.env.PG_POOL_SIZE) && typeof server.max === 'undefined') {
     server.max = server.poolSize || process.env.PG_POOL_SIZE
@@ -301,6 +1790,17 @@ function configure (server) {
     getApplicationName()
   )
 
+  // anything shaped like pg, e.g. require('simple-postgres/fake')()
+  const driver = server.driver || pg
+
+  // pg-style types objects are passed on as they are
+  const types = server.types && typeof server.types.getTypeParser !== 'function'
+    ? createTypes(server.types)
+    : null
+  if (types) server = Object.assign({}, server, { types: types })
+  const keys = keyTransform(server.transformKeys)
+  const toColumn = keys ? keys.toColumn : sameKey
+
   let handleError = server.errorHandler || DO_NOTHING
   function setErrorHandler (handler) {
     handleError = handler || DO_NOTHING
@@ -315,10 +1815,11 @@ function configure (server) {
   }
 
   let _pool
+  let poolInstance = null
   function pool () {
     if (!_pool) {
       _pool = new Promise(resolve => {
-        const p = new Pool(server)
+        const p = poolInstance = new driver.Pool(server)
         p.on('error', (...args) => handleError(...args))
         resolve(p)
       })
@@ -326,94 +1827,615 @@ function configure (server) {
     return _pool
   }
 
-  function connect () {
+  const replicaStrategy = server.replicaStrategy || 'round-robin'
+  if (REPLICA_STRATEGIES.indexOf(replicaStrategy) === -1) {
+    throw new Error('Unknown replica strategy: ' + replicaStrategy)
+  }
+  // rows, row, value and column are treated as reads unless told otherwise,
+  // for apps which write with RETURNING through them
+  const routeReads = server.routeReads !== false
+  const replicas = (server.replicas || []).map(function createReplica (replicaServer) {
+    let options = Object.assign({}, server, { connectionString: undefined }, parseServer(
+      typeof replicaServer === 'string' ? replicaServer : Object.assign({}, replicaServer)
+    ))
+    return {
+      name: (options.host || 'localhost') + ':' + (options.port || 5432),
+      options: options,
+      pool: null,
+      failures: 0,
+      retryAt: 0
+    }
+  })
+
+  function replicaPool (replica) {
+    if (!replica.pool) {
+      replica.pool = new driver.Pool(replica.options)
+      replica.pool.on('error', (...args) => handleError(...args))
+    }
+    return replica.pool
+  }
+
+  let nextReplica = 0
+  function chooseReplica () {
+    let now = Date.now()
+    let healthy = replicas.filter(function (replica) { return replica.retryAt <= now })
+    if (!healthy.length) return null
+    if (replicaStrategy === 'least-busy') {
+      return healthy.reduce(function (a, b) { return busyness(b) < busyness(a) ? b : a })
+    }
+    return healthy[nextReplica++ % healthy.length]
+  }
+
+  function busyness (replica) {
+    let p = replica.pool
+    return p ? p.totalCount - p.idleCount + p.waitingCount : 0
+  }
+
+  // stop using a replica for a while, reads go to the primary in the meantime
+  function replicaFailed (replica, err) {
+    replica.failures++
+    let removedFor = Math.min(REPLICA_RETRY.maxDelay, REPLICA_RETRY.minDelay * Math.pow(2, replica.failures - 1))
+    replica.retryAt = Date.now() + removedFor
+    let failure = new Error(
+      'Removed replica ' + replica.name + ' for ' + removedFor + 'ms after error: ' +
+      (err instanceof Error ? err.message : err)
+    )
+    failure.replica = replica.name
+    failure.cause = err
+    handleError(failure)
+  }
+
+  const hooks = createHooks(server, explain, (...args) => handleError(...args))
+  const statementCacheSize = server.statementCacheSize || 100
+  const acquireTimeoutMillis = server.acquireTimeoutMillis
+  const retry = server.retry ? retryPolicy(server.retry) : null
+
+  function reportRetry (what, err, attempt) {
+    let retrying = new Error(
+      'Retrying ' + what + ' (attempt ' + (attempt + 1) + ') after error: ' +
+      (err instanceof Error ? err.message : err)
+    )
+    retrying.cause = err
+    retrying.attempt = attempt + 1
+    handleError(retrying)
+  }
+
+  function acquireWithRetry (p) {
+    let attempts = 0
+    function attempt () {
+      attempts++
+      return acquire(p, acquireTimeoutMillis).catch(function onAcquireFail (err) {
+        if (!retry || ending || attempts >= retry.attempts || !isTransientError(err)) throw err
+        reportRetry('connection', err, attempts)
+        return delay(retryDelay(retry, attempts)).then(attempt)
+      })
+    }
+    return attempt()
+  }
+  const stats = createStats()
+
+  // get the plan for a slow query, on a connection of its own
+  function explain (sql, params, analyze) {
+    // ANALYZE runs the query again, so only plain SELECTs get it, in a read
+    // only transaction, on a connection which is closed afterwards in case
+    // the query left something behind, like a session level advisory lock
+    analyze = analyze && /^\s*select\b/i.test(sql)
+
+    // not on the test transaction's connection, which the explain would end
+    return connectToPool().then(function doExplain ([client, release]) {
+      client.__simplePostgresExplaining = true
+
+      function done () {
+        client.__simplePostgresExplaining = false
+        release(analyze ? new Error('Closing the connection EXPLAIN ANALYZE ran on') : undefined)
+      }
+
+      function plan () {
+        return INTERFACE.value(client, 'EXPLAIN (FORMAT JSON) ' + sql, params)
+      }
+
+      let explaining = !analyze ? plan() : INTERFACE.query(client, 'begin read only')
+        .then(function onBegin () {
+          return INTERFACE.value(client, 'EXPLAIN (ANALYZE, FORMAT JSON) ' + sql, params)
+        })
+        .then(function onAnalyze (analyzed) {
+          return INTERFACE.query(client, 'rollback').then(function () { return analyzed })
+        }, function onAnalyzeFail () {
+          return INTERFACE.query(client, 'rollback').then(plan)
+        })
+
+      return explaining.then(function onExplain (result) {
+        done()
+        return result
+      }, function onExplainFail (err) {
+        done()
+        throw err
+      })
+    })
+  }
+
+  // while a test transaction is open, every top level call runs inside it
+  let testTransaction = null
+
+  // connections handed out by connect, so that end can wait for them
+  let inFlight = 0
+  const activeClients = new Map()
+  let ending = null
+  let onIdle = DO_NOTHING
+
+  function settle () {
+    inFlight--
+    if (!inFlight) onIdle()
+  }
+
+  // cancel the queries running on every connection which is still in use
+  function cancelActive () {
+    let byPool = new Map()
+    for (let [client, { pool: p }] of activeClients) {
+      if (!byPool.has(p)) byPool.set(p, [])
+      byPool.get(p).push(client.processID)
+    }
+
+    // on a connection of its own, since the pool may have none to spare
+    return Promise.all(Array.from(byPool, function cancelOnPool ([p, pids]) {
+      let canceller = new driver.Client(p.options)
+      canceller.on('error', DO_NOTHING)
+      return canceller.connect().then(function onConnect () {
+        return INTERFACE.query(canceller, 'SELECT pg_cancel_backend(pid) FROM unnest($1::int[]) pid', [pids])
+      }).then(function onCancel () {
+        return canceller.end()
+      }, function onCancelFail (err) {
+        canceller.end()
+        throw err
+      })
+    }))
+  }
+
+  // drop the connections which are still checked out, such as ones held by
+  // blocks waiting on something other than postgres
+  function discardActive () {
+    for (let { release } of Array.from(activeClients.values())) {
+      release(new PoolEnding())
+    }
+  }
+
+  function end (options) {
+    if (ending) return ending
+    let timeout = options && options.timeout
+
+    let rollingBack = testTransaction ? rollbackTestTransaction().catch(DO_NOTHING) : Promise.resolve()
+    ending = rollingBack.then(function waitForIdle () {
+      let idle = new Promise(function (resolve) {
+        onIdle = resolve
+        if (!inFlight) resolve()
+      })
+      if (typeof timeout !== 'number') return idle
+
+      function waitBounded () {
+        let timer
+        let timedOut = new Promise(function (resolve) { timer = setTimeout(resolve, timeout) })
+        return Promise.race([idle, timedOut]).then(function onWait () {
+          clearTimeout(timer)
+        })
+      }
+
+      return waitBounded().then(function onWait () {
+        if (!inFlight) return
+        return cancelActive().catch(handleError).then(waitBounded).then(function onCancelled () {
+          if (inFlight) discardActive()
+        })
+      })
+    }).then(function endPools () {
+      clearTimeout(relistening)
+      relistening = null
+      subscriptions.clear()
+      let pools = replicas.map(function (replica) { return replica.pool }).filter(Boolean)
+      let ended = [
+        _pool && _pool.then(function (p) { return p.end() }),
+        listenerClient && listenerClient.end(),
+        ...pools.map(function (p) { return p.end() })
+      ]
+      // the next query will start over with new pools
+      _pool = null
+      poolInstance = null
+      _listener = null
+      listenerClient = null
+      for (let replica of replicas) replica.pool = null
+      return Promise.all(ended)
+    }).then(function onEnd () {
+      ending = null
+      onIdle = DO_NOTHING
+    }, function onEndFail (err) {
+      ending = null
+      onIdle = DO_NOTHING
+      throw err
+    })
+    return ending
+  }
+
+  // runs once for each new connection, before it is first used
+  function setUp (client) {
+    if (client.__simplePostgresSetUp) return Promise.resolve()
+    return (types ? types.resolve(client) : Promise.resolve()).then(function onTypes () {
+      if (server.onConnect) return server.onConnect(connectionInterface(client, false))
+    }).then(function onSetUp () {
+      client.__simplePostgresSetUp = true
+    })
+  }
+
+  // block is 'connection' or 'transaction' when the client is used for one
+  function connect (block, replica) {
+    if (testTransaction) return takeTurn(testTransaction, block)
+    return connectToPool(block, replica)
+  }
+
+  // calls made while a test transaction is open take turns on its connection,
+  // each in a savepoint, so that one failing doesn't abort the ones after it
+  function takeTurn (pinned, block) {
+    let previous = pinned.turn
+    let finish
+    pinned.turn = new Promise(function (resolve) { finish = resolve })
+
+    return previous.then(function onTurn () {
+      return pinned.connection
+    }).then(function onPinned (conn) {
+      let client = conn[0]
+      // transactions make savepoints of their own
+      if (block === 'transaction') return [client, function release () { finish() }]
+
+      let statements = savepointStatements(pinned.state)
+      return INTERFACE.query(client, statements.begin).then(function onSavepoint () {
+        return [client, function release () {
+          INTERFACE.query(client, statements.commit).catch(function onReleaseFail () {
+            // a failed query aborted the savepoint, so undo it instead
+            return INTERFACE.query(client, statements.rollback).then(function onRollback () {
+              return INTERFACE.query(client, statements.commit)
+            })
+          }).then(finish, function onRollbackFail (err) {
+            finish()
+            handleError(err)
+          })
+        }]
+      })
+    }).catch(function onTurnFail (err) {
+      finish()
+      throw err
+    })
+  }
+
+  // a connection of its own, even while a test transaction is open
+  function connectToPool (block, replica) {
+    if (ending) return Promise.reject(new PoolEnding())
+
     // TODO: allow returning just the client, not the tuple of client + release fn
-    return pool().then(p => p.connect()).then(client => {
+    let start = process.hrtime()
+    let connectedPool
+    inFlight++
+    return (replica ? Promise.resolve(replicaPool(replica)) : pool()).then(p => {
+      connectedPool = p
+      return acquireWithRetry(p)
+    }).then(client => {
       if (typeof client.__simplePostgresOnError === 'undefined') {
         client.__simplePostgresOnError = true
+        client.__simplePostgresStatements = { size: statementCacheSize, names: new Map() }
         client.on('error', (...args) => handleError(...args))
       }
-      return [client, client.release.bind(client)]
+      client.__simplePostgresHooks = hooks
+      client.__simplePostgresStats = stats
+      client.__simplePostgresBlock = block || null
+      client.__simplePostgresKeys = keys
+      return setUp(client).then(() => client, err => {
+        // don't leave a half set up connection in the pool
+        client.release(err)
+        throw err
+      })
+    }).catch(err => {
+      if (err instanceof AcquireTimeout) stats.acquireTimeouts++
+      settle()
+      throw err
+    }).then(client => {
+      recordAcquireWait(stats, millisSince(start))
+      if (hooks) hooks.emit('onConnect', { block: block || null, duration: millisSince(start) })
+
+      let acquired = process.hrtime()
+      let released = false
+      function release (err) {
+        // end may already have discarded the connection
+        if (released) return
+        released = true
+        client.__simplePostgresBlock = null
+        if (hooks) hooks.emit('onRelease', { block: block || null, duration: millisSince(acquired), error: err })
+        activeClients.delete(client)
+        client.release(err)
+        settle()
+      }
+      activeClients.set(client, { pool: connectedPool, release })
+      return [client, release]
     })
   }
 
-  let iface = {
-    connection (work) {
-      return withConnection(connect(), function doConnection (client) {
-        return work(Object.keys(INTERFACE).reduce(function linkInterface (i, methodName) {
-          i[methodName] = INTERFACE[methodName].bind(null, client)
-          i[methodName].displayName = methodName + '_in_connection'
-          return i
-        }, {}))
+  // LISTEN needs a connection of its own, which lives outside of the pool
+  let _listener
+  let listenerClient
+  let relistening
+  let reconnects = 0
+  const subscriptions = new Map()
+
+  function listener () {
+    if (!_listener) {
+      let client = listenerClient = new driver.Client(server)
+      client.on('notification', onNotification)
+      client.on('error', function onListenerError (err) {
+        handleError(err)
+        dropListener(client)
       })
-    },
-    transaction (work) {
-      return iface.connection(function doTransaction (connIface) {
-        let result
-        let inTransaction
+      client.on('end', function onListenerEnd () {
+        dropListener(client)
+      })
+      _listener = new Promise(function (resolve, reject) {
+        client.connect(function onConnect (err) {
+          if (err) {
+            dropListener(client)
+            reject(err)
+          } else {
+            resolve(client)
+          }
+        })
+      })
+    }
+    return _listener
+  }
 
-        return (
-          connIface.query('begin')
-            .then(function onBegin () {
-              inTransaction = true
-              return work(connIface)
-            })
-            .then(function onResult (_result) {
-              result = _result
-              return connIface.query('commit')
-            })
-            .then(function onCommit () {
-              return result
-            })
-            .catch(function onError (err) {
-              if (!inTransaction) throw err
-
-              return (
-                connIface.query('rollback')
-                  .catch(function onRollbackFail (rollbackErr) {
-                    err = (err instanceof Error ? err.message + '\n' + err.stack : err)
-                    rollbackErr = (rollbackErr instanceof Error ? rollbackErr.message + '\n' + rollbackErr.stack : rollbackErr)
-                    let bigErr = new Error(
-                      'Failed to execute rollback after error\n' +
-                      err + '\n\n' + rollbackErr
-                    )
-                    bigErr.ABORT_CONNECTION = true
-                    throw bigErr
-                  })
-                  .then(function onRollback () {
-                    throw err
-                  })
-              )
-            })
-        )
+  function dropListener (client) {
+    if (listenerClient !== client) return
+    _listener = null
+    listenerClient = null
+    if (subscriptions.size) relisten()
+  }
+
+  function relisten () {
+    if (relistening) return
+    relistening = setTimeout(function reconnectListener () {
+      relistening = null
+      if (!subscriptions.size) return
+      reconnects++
+      listener().then(function onReconnect (client) {
+        return Promise.all(Array.from(subscriptions.keys()).map(function (channel) {
+          return INTERFACE.query(client, 'LISTEN ' + escape.identifier(channel))
+        }))
+      }).then(function onRelisten () {
+        reconnects = 0
+      }, function onRelistenFail (err) {
+        handleError(err)
+        relisten()
+      })
+    }, retryDelay(LISTEN_RETRY, reconnects + 1))
+  }
+
+  function onNotification (msg) {
+    let subscription = subscriptions.get(msg.channel)
+    if (!subscription) return
+    for (let handler of subscription.handlers) {
+      try {
+        handler(msg.payload)
+      } catch (err) {
+        handleError(err)
+      }
+    }
+  }
+
+  function listen (channel, handler, options) {
+    if (ending) return Promise.reject(new PoolEnding())
+    let json = Boolean(options && options.json)
+    let subscription = subscriptions.get(channel)
+    let onPayload = function onPayload (payload) {
+      handler(json && payload ? JSON.parse(payload) : payload)
+    }
+
+    if (!subscription) {
+      subscription = { handlers: new Set() }
+      subscription.ready = listener().then(function onListener (client) {
+        return INTERFACE.query(client, 'LISTEN ' + escape.identifier(channel))
       })
+      subscriptions.set(channel, subscription)
+    }
+    subscription.handlers.add(onPayload)
+
+    function unlisten () {
+      if (!subscription.handlers.delete(onPayload) || subscription.handlers.size) {
+        return Promise.resolve()
+      }
+      subscriptions.delete(channel)
+
+      let client = listenerClient
+      if (!client) return Promise.resolve()
+      if (!subscriptions.size) {
+        // nothing left to listen to, let the process exit
+        _listener = null
+        listenerClient = null
+        return client.end()
+      }
+      return INTERFACE.query(client, 'UNLISTEN ' + escape.identifier(channel)).then(DO_NOTHING)
+    }
+
+    return subscription.ready.then(function onListen () {
+      return unlisten
+    }, function onListenFail (err) {
+      return unlisten().then(function () { throw err })
+    })
+  }
+
+  function notify (channel, payload) {
+    if (typeof payload !== 'undefined' && typeof payload !== 'string') {
+      payload = JSON.stringify(payload)
     }
+    return thenWithCancel(iface.query('SELECT pg_notify($1, $2)', [channel, payload]), DO_NOTHING)
   }
 
-  iface.template = function sqlTemplate (strings, ...values) {
-    let stringsLength = strings.length
-    let valuesLength = values.length
-    let maxLength = Math.max(stringsLength, valuesLength)
+  // hold on to a connection until the caller releases it
+  function reserve () {
+    return new Promise(function (resolve, reject) {
+      let onReserve = resolve
+      withConnection(connect(), function holdConnection (client) {
+        return new Promise(function (resolve, reject) {
+          onReserve({
+            client: client,
+            release (err) { err ? reject(err) : resolve() }
+          })
+        })
+      }).catch(reject)
+    })
+  }
 
-    return {
-      __unsafelyGetRawSql (client) {
-        let sql = ''
-        for (let i = 0; i < maxLength; i++) {
-          if (i < stringsLength) {
-            sql += strings[i]
-          }
-          if (i < valuesLength) {
-            if (canGetRawSqlFrom(values[i])) {
-              sql += values[i].__unsafelyGetRawSql(client)
-            } else {
-              sql += iface.escapeLiteral(values[i])
+  function beginTestTransaction () {
+    if (testTransaction) {
+      return Promise.reject(new Error('A test transaction is already open'))
+    }
+
+    let connection = connect('transaction').then(function onConnect (conn) {
+      return INTERFACE.query(conn[0], 'begin').then(function onBegin () {
+        return conn
+      }, function onBeginFail (err) {
+        conn[1](err)
+        throw err
+      })
+    })
+    testTransaction = { connection: connection, state: { savepoints: 0 }, turn: Promise.resolve() }
+
+    return connection.then(DO_NOTHING, function onFail (err) {
+      testTransaction = null
+      throw err
+    })
+  }
+
+  function rollbackTestTransaction () {
+    if (!testTransaction) {
+      return Promise.reject(new Error('No test transaction is open'))
+    }
+
+    let connection = testTransaction.connection
+    testTransaction = null
+    return connection.then(function onConnect (conn) {
+      return INTERFACE.query(conn[0], 'rollback').then(function onRollback () {
+        conn[1]()
+      }, function onRollbackFail (err) {
+        conn[1](err)
+        throw err
+      })
+    })
+  }
+
+  function testIsolation (work) {
+    return beginTestTransaction().then(work).then(function onResult (result) {
+      return rollbackTestTransaction().then(function () { return result })
+    }, function onError (err) {
+      if (!testTransaction) throw err
+      return rollbackTestTransaction().then(function () { throw err })
+    })
+  }
+
+  let iface = {
+    connection (options, work) {
+      if (typeof options === 'function') {
+        work = options
+        options = {}
+      }
+
+      return abortable(function () {
+        return withConnection(connect('connection'), function doConnection (client) {
+          let control = blockControl()
+          let block = Promise.resolve(work(connectionInterface(client, false, control)))
+          // a promise of our own, to add cancel to
+          return cancellableBlock(control, block.then(function (result) { return result }))
+        }, true)
+      }, options)
+    },
+    cursor (...args) {
+      return createCursor(reserve, !testTransaction, args)
+    },
+    withAdvisoryLock (key, work, options) {
+      return withConnection(connect('connection'), function doAdvisoryLock (client) {
+        return advisoryLockBlock(client, key, work, options || {})
+      }, true)
+    },
+    copyTo (sql, options) {
+      return createCopyTo(reserve, sql, options)
+    },
+    withSession (options, work) {
+      return iface.transaction(options, function sessionBlock (trx) {
+        // inside a test transaction, this is only a savepoint
+        return applySession(trx, options, !!testTransaction).then(function onSession (restore) {
+          return Promise.resolve(work(trx)).then(function onResult (result) {
+            return restore().then(function () { return result })
+          })
+        })
+      })
+    },
+    transaction (options, work) {
+      if (typeof options === 'function') {
+        work = options
+        options = {}
+      }
+
+      let begin
+      let retry
+      try {
+        begin = beginStatement(options)
+        retry = retryPolicy(options.retry)
+      } catch (err) {
+        return Promise.reject(err)
+      }
+
+      let attempts = 0
+      let cancelled = false
+      let attempt = null
+      function attemptTransaction () {
+        if (cancelled) throw new Cancel()
+        attempts++
+        let statements = { begin: begin, commit: 'commit', rollback: 'rollback' }
+        let state = { savepoints: 0 }
+        if (testTransaction) {
+          // the test transaction is already open, so this becomes a savepoint
+          state = testTransaction.state
+          statements = savepointStatements(state)
+        }
+
+        attempt = withConnection(connect('transaction'), function doTransaction (client) {
+          let control = blockControl()
+          return cancellableBlock(control, transactionBlock(client, statements, work, state, control))
+        }, true)
+        return attempt.then(function onTransaction (result) {
+          attempt = null
+          return result
+        }, function onTransactionError (err) {
+          attempt = null
+          if (
+            !cancelled &&
+            err instanceof SqlError && RETRYABLE_TRANSACTION_ERRORS.indexOf(err.code) !== -1
+          ) {
+            err.attempts = attempts
+            if (attempts < retry.attempts) {
+              return delay(retryDelay(retry, attempts)).then(attemptTransaction)
             }
           }
-        }
-        return sql
+          throw err
+        })
       }
+
+      return abortable(function () {
+        let promise = attemptTransaction()
+        promise.cancel = function cancel () {
+          cancelled = true
+          return (attempt ? attempt.cancel() : Promise.resolve()).then(function () {
+            return promise.then(DO_NOTHING, DO_NOTHING)
+          })
+        }
+        return promise
+      }, options)
     }
   }
+
+  iface.template = template
   iface.escape = escape.literal
   iface.escapeLiteral = escape.literal
   iface.escapeLiterals = escape.literals
@@ -425,23 +2447,138 @@ function configure (server) {
   iface.identifiers = templateIdentifiers
   iface.literal = templateLiteral
   iface.literals = templateLiterals
+  iface.values = templateValues
+  iface.set = function set (obj) {
+    return templateSet(obj, toColumn)
+  }
+  iface.where = function where (obj) {
+    return templateWhere(obj, toColumn)
+  }
+  iface.join = templateJoin
+  iface.insert = function insert (table, rows, options) {
+    // inserts always go to the primary, and are never run again like reads
+    return insertRows(iface.primary, iface.transaction, table, rows, options, toColumn)
+  }
   iface.pool = pool
   iface.setErrorHandler = setErrorHandler
+  iface.listen = listen
+  iface.notify = notify
+  iface.end = end
+  iface.stats = function getStats () {
+    let now = Date.now()
+    return Object.assign(poolStats(poolInstance), stats, {
+      acquireWait: {
+        count: stats.acquireWait.count,
+        sum: stats.acquireWait.sum,
+        buckets: stats.acquireWait.buckets.map(function (bucket) { return Object.assign({}, bucket) })
+      },
+      replicas: replicas.map(function (replica) {
+        return Object.assign({ name: replica.name, healthy: replica.retryAt <= now }, poolStats(replica.pool))
+      })
+    })
+  }
+  iface.beginTestTransaction = beginTestTransaction
+  iface.rollbackTestTransaction = rollbackTestTransaction
+  iface.testIsolation = testIsolation
+  iface.migrate = function migrate (options) {
+    return migrations.migrate(iface, options)
+  }
+  iface.migrationStatus = function migrationStatus (options) {
+    return migrations.status(iface, options)
+  }
 
-  iface = Object.keys(INTERFACE).reduce(function linkInterface (i, methodName) {
-    i[methodName] = function (...args) {
-      return withConnection(connect(), function onConnect (client) {
-        return INTERFACE[methodName](client, ...args)
-      }, true)
+  function onPrimary (methodName, args) {
+    return withConnection(connect(), function onConnect (client) {
+      return INTERFACE[methodName](client, ...args)
+    }, true)
+  }
+
+  function onReplica (methodName, args) {
+    let replica = !testTransaction && chooseReplica()
+    if (!replica) return onPrimary(methodName, args)
+
+    let connectFailed = false
+    let cancelled = false
+    let connection = connect(null, replica).catch(function onConnectFail (err) {
+      connectFailed = true
+      throw err
+    })
+    let active = withConnection(connection, function onConnect (client) {
+      return INTERFACE[methodName](client, ...args)
+    }, true)
+
+    let promise = active.then(function onResult (result) {
+      replica.failures = 0
+      return result
+    }, function onError (err) {
+      if (cancelled || !(connectFailed || isReplicaFailure(err))) throw err
+      replicaFailed(replica, err)
+      active = onPrimary(methodName, args)
+      return active
+    })
+    promise.cancel = function cancel () {
+      cancelled = true
+      return active.cancel()
     }
-    i[methodName].displayName = methodName
-    return i
-  }, iface)
+    return promise
+  }
 
-  return iface
+  // reads outside of transactions can go to a replica, and be run again if
+  // the connection fails
+  function route (methodName, args) {
+    if (!routeReads || READ_METHODS.indexOf(methodName) === -1) return onPrimary(methodName, args)
+    if (!retry || !retry.reads || testTransaction) return onReplica(methodName, args)
+
+    let cancelled = false
+    let active = onReplica(methodName, args)
+    let promise = active.catch(function onReadError (err) {
+      // errors from connecting have been retried already
+      if (cancelled || !(err instanceof SqlError) || !isTransientError(err)) throw err
+      reportRetry('query', err, 1)
+      active = onReplica(methodName, args)
+      return active
+    })
+    promise.cancel = function cancel () {
+      cancelled = true
+      return active.cancel()
+    }
+    return promise
+  }
+
+  iface.primary = linkPrepared(linkQueries({}, onPrimary, '_on_primary'))
+
+  iface.with = function withOptions (options) {
+    return linkPrepared(linkQueries({
+      connection (work) {
+        return iface.connection(options, work)
+      },
+      transaction (trxOptions, work) {
+        if (typeof trxOptions === 'function') {
+          work = trxOptions
+          trxOptions = {}
+        }
+        return iface.transaction(Object.assign({}, options, trxOptions), work)
+      },
+      withSession (sessionOptions, work) {
+        return iface.withSession(Object.assign({}, options, sessionOptions), work)
+      }
+    }, route, '', options))
+  }
+
+  return linkPrepared(linkQueries(iface, route, ''))
 }
 
 module.exports = configure(process.env.DATABASE_URL)
 module.exports.configure = configure
 module.exports.Cancel = Cancel
 module.exports.SqlError = SqlError
+module.exports.UniqueViolation = UniqueViolation
+module.exports.ForeignKeyViolation = ForeignKeyViolation
+module.exports.NotNullViolation = NotNullViolation
+module.exports.CheckViolation = CheckViolation
+module.exports.SerializationFailure = SerializationFailure
+module.exports.QueryCanceled = QueryCanceled
+module.exports.LockNotAvailable = LockNotAvailable
+module.exports.PoolEnding = PoolEnding
+module.exports.AcquireTimeout = AcquireTimeout
+module.exports.Timeout = Timeout
@@ -0,0 +1,208 @@
+const fs = require('fs')
+const path = require('path')
+const createHash = require('crypto').createHash
+const escape = require('./escape')
+
+// e.g. 001_create_accounts.sql, 20180101120000-add-index.js
+const MIGRATION_FILE = /^(\d+)[_-]?(.*)\.(sql|js)$/
+
+function migrationOptions (options) {
+  let defined = {}
+  for (let key of Object.keys(options || {})) {
+    if (typeof options[key] !== 'undefined') defined[key] = options[key]
+  }
+  options = Object.assign({
+    directory: 'migrations',
+    table: 'simple_postgres_migrations',
+    log: function () {}
+  }, defined)
+  options.directory = path.resolve(options.directory)
+  options.tableName = (options.schema ? escape.identifier(options.schema) + '.' : '') +
+    escape.identifier(options.table)
+  return options
+}
+
+function readMigrations (directory) {
+  let versions = {}
+  return fs.readdirSync(directory)
+    .filter(function (file) { return MIGRATION_FILE.test(file) })
+    .map(function (file) {
+      let match = MIGRATION_FILE.exec(file)
+      let filename = path.join(directory, file)
+      let contents = fs.readFileSync(filename)
+      let version = match[1].replace(/^0+(?=\d)/, '')
+      if (versions[version]) {
+        throw new Error('Duplicate migration version ' + version + ': ' + versions[version] + ', ' + file)
+      }
+      versions[version] = file
+
+      return {
+        version: version,
+        name: file,
+        file: filename,
+        type: match[3],
+        checksum: createHash('sha256').update(contents).digest('hex'),
+        contents: contents.toString('utf8')
+      }
+    })
+    .sort(function (a, b) { return compareVersions(a.version, b.version) })
+}
+
+function compareVersions (a, b) {
+  return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0)
+}
+
+function appliedMigrations (conn, options) {
+  return conn.value('SELECT to_regclass($1) IS NOT NULL', [options.tableName])
+    .then(function (exists) {
+      if (!exists) return []
+      return conn.rows(
+        'SELECT version, name, checksum, applied_at AS "appliedAt" FROM ' + options.tableName
+      )
+    })
+}
+
+function migrationStatus (conn, options) {
+  return appliedMigrations(conn, options).then(function (applied) {
+    let files = readMigrations(options.directory)
+    let byVersion = {}
+    for (let row of applied) {
+      byVersion[row.version] = row
+    }
+
+    let status = files.map(function (migration) {
+      let row = byVersion[migration.version]
+      delete byVersion[migration.version]
+      return Object.assign({}, migration, {
+        status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed',
+        appliedAt: row ? row.appliedAt : null
+      })
+    })
+
+    for (let version of Object.keys(byVersion)) {
+      status.push({
+        version: version,
+        name: byVersion[version].name,
+        status: 'missing',
+        appliedAt: byVersion[version].appliedAt
+      })
+    }
+
+    return status.sort(function (a, b) { return compareVersions(a.version, b.version) })
+  })
+}
+
+// every step which touches the migrations table takes the same transaction
+// level advisory lock, so that only one process migrates at a time without
+// needing a second connection to hold the lock on
+function lockedTransaction (db, options, work) {
+  return db.transaction(function locked (trx) {
+    return trx.advisoryXactLock('simple-postgres migrate ' + options.tableName).then(function onLock () {
+      return work(trx)
+    })
+  })
+}
+
+function createTable (db, options) {
+  return lockedTransaction(db, options, function (trx) {
+    return trx.query(
+      'CREATE TABLE IF NOT EXISTS ' + options.tableName + ' (' +
+      'version text PRIMARY KEY, ' +
+      'name text NOT NULL, ' +
+      'checksum text NOT NULL, ' +
+      'applied_at timestamptz NOT NULL DEFAULT now())'
+    )
+  })
+}
+
+function runMigration (db, migration, options) {
+  return lockedTransaction(db, options, function applyMigration (trx) {
+    return trx.value(
+      'SELECT checksum FROM ' + options.tableName + ' WHERE version = $1',
+      [migration.version]
+    ).then(function onChecked (checksum) {
+      // another process got here first
+      if (checksum === migration.checksum) return null
+      if (checksum) {
+        throw new Error('Migrations have changed since they were applied: ' + migration.name)
+      }
+
+      options.log('applying ' + migration.name)
+      let applying
+      if (migration.type === 'sql') {
+        applying = trx.query(migration.contents)
+      } else {
+        let up = require(migration.file)
+        if (typeof up !== 'function') up = up.up
+        applying = Promise.resolve(up(trx))
+      }
+
+      return applying.then(function onApplied () {
+        return trx.query(
+          'INSERT INTO ' + options.tableName + ' (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        )
+      }).then(function () {
+        return { version: migration.version, name: migration.name }
+      })
+    })
+  })
+}
+
+module.exports = {
+  status (db, options) {
+    try {
+      options = migrationOptions(options)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    return db.connection(function (conn) {
+      return migrationStatus(conn, options).then(function (status) {
+        return status.map(function (migration) {
+          return {
+            version: migration.version,
+            name: migration.name,
+            status: migration.status,
+            appliedAt: migration.appliedAt
+          }
+        })
+      })
+    })
+  },
+  migrate (db, options) {
+    try {
+      options = migrationOptions(options)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    return (options.dryRun ? Promise.resolve() : createTable(db, options))
+      .then(function onTable () {
+        return db.connection(function (conn) {
+          return migrationStatus(conn, options)
+        })
+      })
+      .then(function onStatus (status) {
+        let changed = status.filter(function (m) { return m.status === 'changed' })
+        if (changed.length) {
+          throw new Error(
+            'Migrations have changed since they were applied: ' +
+            changed.map(function (m) { return m.name }).join(', ')
+          )
+        }
+
+        let pending = status.filter(function (m) { return m.status === 'pending' })
+        if (options.dryRun) {
+          return pending.map(function (m) { return { version: m.version, name: m.name } })
+        }
+
+        let applied = []
+        return pending.reduce(function (previous, migration) {
+          return previous.then(function () {
+            return runMigration(db, migration, options).then(function (result) {
+              if (result) applied.push(result)
+            })
+          })
+        }, Promise.resolve()).then(function () { return applied })
+      })
+  }
+}
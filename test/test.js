@@ -1,4 +1,8 @@
 const test = require('blue-tape')
+const EventEmitter = require('events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const db = require('../src')
 
 function countConnections (pool) {
@@ -36,6 +40,140 @@ test('db.connection cancel', async function (t) {
   })
 })
 
+test('db.connection block cancel', async function (t) {
+  let started
+  let afterCancel
+  let block = db.connection(async function ({ query }) {
+    started = query('SELECT pg_sleep(10)')
+    await started.catch(() => {})
+    afterCancel = query('SELECT 1')
+    return afterCancel
+  })
+  await new Promise(resolve => setTimeout(resolve, 50))
+  let start = Date.now()
+  await block.cancel()
+  t.ok(Date.now() - start < 5000, 'should cancel the active query')
+  try {
+    await block
+    t.fail('cancelled blocks should reject')
+  } catch (err) {
+    t.ok(err instanceof db.Cancel, 'should reject with Cancel')
+  }
+  try {
+    await afterCancel
+    t.fail('queries after cancel should reject')
+  } catch (err) {
+    t.ok(err instanceof db.Cancel, 'should not start new queries')
+  }
+})
+
+test('db.transaction cancel', async function (t) {
+  await db.query('CREATE TABLE IF NOT EXISTS cancel_test (id int)')
+  try {
+    let block = db.transaction(async function ({ query }) {
+      await query('INSERT INTO cancel_test VALUES (1)')
+      await query('SELECT pg_sleep(10)').catch(() => {})
+      await query('INSERT INTO cancel_test VALUES (2)').catch(() => {})
+    })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await block.cancel()
+    try {
+      await block
+      t.fail('cancelled transactions should reject')
+    } catch (err) {
+      t.ok(err instanceof db.Cancel, 'should reject with Cancel')
+    }
+    t.deepEqual(await db.column('SELECT id FROM cancel_test'), [], 'should roll back')
+    t.equal(countConnections(await db.pool()) >= 1, true, 'should return the client to the pool')
+    t.equal(await db.value('SELECT 1::int'), 1, 'should leave the pool usable')
+  } finally {
+    await db.query('DROP TABLE cancel_test')
+  }
+})
+
+test('signal and timeout options', async function (t) {
+  try {
+    await db.rows('SELECT pg_sleep(10), $1::int AS a', [1], { timeout: 50 })
+    t.fail('should time out')
+  } catch (err) {
+    t.ok(err instanceof db.Timeout, 'should reject with Timeout')
+    t.equal(err.message, 'Timed out after 50ms\nSELECT pg_sleep(10), $1::int AS a', 'should include the sql')
+  }
+
+  try {
+    await db.with({ timeout: 50 }).value`SELECT pg_sleep(10), ${1}::int AS a`
+    t.fail('should time out')
+  } catch (err) {
+    t.equal(err.sql, 'SELECT pg_sleep(10), $1::int AS a', 'should time out template queries')
+  }
+  t.equal(await db.with({ timeout: 1000 }).value`SELECT ${1}::int`, 1, 'should not time out fast queries')
+
+  let signal = new EventEmitter()
+  signal.addEventListener = signal.on
+  signal.removeEventListener = signal.removeListener
+  let query = db.value('SELECT pg_sleep(10)', [], { signal })
+  setTimeout(() => {
+    signal.aborted = true
+    signal.emit('abort')
+  }, 50)
+  try {
+    await query
+    t.fail('should be aborted')
+  } catch (err) {
+    t.ok(err instanceof db.Cancel, 'should reject with Cancel when aborted')
+  }
+  try {
+    await db.value('SELECT 1', [], { signal })
+    t.fail('should not run with an aborted signal')
+  } catch (err) {
+    t.ok(err instanceof db.Cancel, 'should reject right away when already aborted')
+  }
+
+  try {
+    await db.transaction({ timeout: 50 }, async function ({ query }) {
+      await query('SELECT pg_sleep(10)')
+    })
+    t.fail('should time out')
+  } catch (err) {
+    t.equal(err.message, 'Timed out after 50ms', 'should time out transactions')
+  }
+
+  try {
+    await db.connection({ timeout: 50 }, function ({ with: withOptions }) {
+      return withOptions({ timeout: 5000 }).query('SELECT pg_sleep(10)')
+    })
+    t.fail('should time out')
+  } catch (err) {
+    t.ok(err instanceof db.Timeout, 'should time out connections')
+  }
+  t.equal(await db.value('SELECT 1::int'), 1, 'should leave the pool usable')
+
+  let busyDb = db.configure({ connectionString: process.env.DATABASE_URL, max: 1 })
+  let busy = busyDb.query('SELECT pg_sleep(0.5)')
+  let start = Date.now()
+  try {
+    await busyDb.value('SELECT 1', [], { timeout: 50 })
+    t.fail('should time out')
+  } catch (err) {
+    t.ok(err instanceof db.Timeout, 'should time out waiting for a connection')
+    t.ok(Date.now() - start < 400, 'should not wait for a connection to time out')
+  }
+  signal.aborted = false
+  let waiting = busyDb.value('SELECT 1', [], { signal })
+  signal.aborted = true
+  signal.emit('abort')
+  try {
+    await waiting
+    t.fail('should be aborted')
+  } catch (err) {
+    t.ok(err instanceof db.Cancel, 'should abort waiting for a connection')
+    t.ok(Date.now() - start < 400, 'should not wait for a connection to abort')
+  }
+  await busy
+  t.equal(await busyDb.value('SELECT 1::int'), 1, 'should release the late connection')
+  await busyDb.end()
+})
+
 test('db.query', async function (t) {
   let result = await db.query('select * from generate_series(1, 3) g')
   t.equal(result.rowCount, 3, 'should return result with rowCount property')
@@ -201,18 +339,72 @@ test('array escaping', async function (t) {
   )
 })
 
+test('typed escaping', async function (t) {
+  let date = new Date('2018-01-02T03:04:05.678Z')
+  let buffer = Buffer.from([0, 1, 254, 255])
+  let json = {a: [1, 'it\'s \\ "quoted"'], b: null}
+
+  t.equal(db.escape(date), '\'2018-01-02T03:04:05.678Z\'::timestamptz')
+  t.equal(db.escape(buffer), ' E\'\\\\x0001feff\'::bytea')
+  t.equal(db.escape(global.BigInt('9007199254740993')), '9007199254740993')
+  t.equal(db.escape(NaN), '\'NaN\'::float8')
+  t.equal(db.escape(-Infinity), '\'-Infinity\'::float8')
+  t.equal(db.escape([]), '\'{}\'')
+  t.equal(db.escape([[1, 2], [3, 4]]), 'Array[Array[1, 2], Array[3, 4]]')
+  t.equal(db.escape([], 'int[]'), '\'{}\'::int[]')
+  t.equal(db.escape('1', 'numeric(10, 2)'), '\'1\'::numeric(10, 2)')
+  t.throws(() => db.escape(undefined), /Cannot use undefined as a SQL literal/)
+  t.throws(() => db.escape(1, 'int; drop table beep'), /Invalid SQL type/)
+
+  t.deepEqual(
+    await db.row(`SELECT
+      ${db.escape(date)} AS date,
+      ${db.escape(buffer)} AS buffer,
+      ${db.escape(json)} AS json,
+      ${db.escape(global.BigInt('9007199254740993'))}::text AS bigint,
+      ${db.escape(NaN)} AS nan,
+      ${db.escape([[1, 2], [3, 4]])} AS nested,
+      ${db.escape([], 'int[]')} AS empty
+    `),
+    {
+      date: date,
+      buffer: buffer,
+      json: json,
+      bigint: '9007199254740993',
+      nan: NaN,
+      nested: [[1, 2], [3, 4]],
+      empty: []
+    },
+    'escaped values should round trip'
+  )
+
+  t.deepEqual(
+    await db.row`SELECT ${db.literal([], 'int[]')} AS a, ${db.literal('2', 'int')} AS b`,
+    {a: [], b: 2},
+    'literals should be cast'
+  )
+  t.equal(db.literal([], 'int[]').__unsafelyGetRawSql(), '\'{}\'::int[]')
+
+  try {
+    await db.value`SELECT ${db.literal(undefined)}`
+    t.fail('undefined literals should throw')
+  } catch (err) {
+    t.equal(err.message, 'Cannot use undefined as a SQL literal, use null instead')
+  }
+})
+
 test('sql template', async function (t) {
-  let tpl = db.template`SELECT ${1} AS a, ${[1, 2, 3]} AS ${db.identifier('b')}`
-  t.equal(tpl.__unsafelyGetRawSql(), 'SELECT 1 AS a, Array[1, 2, 3] AS "b"')
+  let tpl = db.template`SELECT ${1}::int AS a, ${[1, 2, 3]}::int[] AS ${db.identifier('b')}`
+  t.equal(tpl.__unsafelyGetRawSql(), 'SELECT 1::int AS a, Array[1, 2, 3]::int[] AS "b"')
 
   let result = await db.row(tpl)
   t.deepEqual(result, {a: 1, b: [1, 2, 3]})
 })
 
 test('nested sql template', async function (t) {
-  let subquery = db.template`SELECT ${1} AS ${db.identifier('a')}`
+  let subquery = db.template`SELECT ${1}::int AS ${db.identifier('a')}`
   let query = db.template`SELECT ${db.identifier('b')}.${db.identifier('a')} FROM (${subquery}) AS ${db.identifier('b')}`
-  t.equal(query.__unsafelyGetRawSql(), 'SELECT "b"."a" FROM (SELECT 1 AS "a") AS "b"')
+  t.equal(query.__unsafelyGetRawSql(), 'SELECT "b"."a" FROM (SELECT 1::int AS "a") AS "b"')
 
   let result = await db.row(query)
   t.deepEqual(result, {a: 1})
@@ -223,6 +415,178 @@ test('items template escaping', async function (t) {
   t.equal(query.__unsafelyGetRawSql(), '1, \'2\', COALESCE(3, 4)')
 })
 
+test('parameterized nested templates', async function (t) {
+  let evil = 'a\'a\\'
+  let subquery = db.template`SELECT ${evil}::text AS a, ${db.literal(2)}::int AS b`
+  let query = db.template`SELECT ${3}::int AS c, s.* FROM (${subquery}) s WHERE s.b IN (${db.literals([1, 2])})`
+
+  let params = []
+  t.equal(
+    query.__buildSql(params),
+    'SELECT $1::int AS c, s.* FROM (SELECT $2::text AS a, $3::int AS b) s WHERE s.b IN ($4, $5)',
+    'should renumber nested parameters'
+  )
+  t.deepEqual(params, [3, evil, 2, 1, 2], 'should collect nested parameters')
+
+  t.deepEqual(
+    await db.row`SELECT ${'x'}::text AS x, q.* FROM (${query}) q`,
+    {x: 'x', c: 3, a: evil, b: 2},
+    'should execute with bind parameters'
+  )
+  t.deepEqual(
+    await db.row(db.items([db.template`SELECT ${1}::int`, db.identifier('b')], ' AS ')),
+    {b: 1},
+    'should execute items with bind parameters'
+  )
+})
+
+test('values, set, where and join templates', async function (t) {
+  let params = []
+  t.equal(
+    db.values([{a: 1, b: 'x'}, {b: 'y', c: null}]).__buildSql(params),
+    '($1, $2, DEFAULT), (DEFAULT, $3, $4)',
+    'should derive columns from every row'
+  )
+  t.deepEqual(params, [1, 'x', 'y', null])
+
+  t.equal(
+    db.values([[1, 2], [3, db.template`now()`]]).__unsafelyGetRawSql(),
+    '(1, 2), (3, now())',
+    'should accept arrays of values'
+  )
+
+  params = []
+  t.equal(
+    db.set({name: 'x', 'weird "col"': 2, skipped: undefined}).__buildSql(params),
+    '"name" = $1, "weird ""col""" = $2'
+  )
+  t.deepEqual(params, ['x', 2])
+
+  params = []
+  t.equal(
+    db.where({a: 1, b: [2, 3], c: null, d: [], e: undefined}).__buildSql(params),
+    '"a" = $1 AND "b" IN ($2, $3) AND "c" IS NULL AND false'
+  )
+  t.deepEqual(params, [1, 2, 3])
+  t.equal(db.where({}).__unsafelyGetRawSql(), 'true', 'empty where should match everything')
+
+  let onlyActive = false
+  t.equal(
+    db.join([db.template`a = ${1}`, onlyActive && db.template`active`, null, db.identifier('b')], ' AND ').__unsafelyGetRawSql(),
+    'a = 1 AND "b"',
+    'join should skip missing fragments'
+  )
+
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer, name text, tag text default \'none\')')
+  let rows = [{id: 1, name: 'a'}, {id: 2, name: 'b', tag: 'x'}, {id: 3, name: null}]
+  await db.query`insert into beep (${db.identifiers(['id', 'name', 'tag'])}) values ${db.values(rows, ['id', 'name', 'tag'])}`
+  await db.query`update beep set ${db.set({name: 'c'})} where ${db.where({id: [1, 2], tag: 'x'})}`
+
+  t.deepEqual(
+    await db.rows`select * from beep where ${db.join([db.where({name: null}), db.template`id > ${0}`], ' AND ')} order by id`,
+    [{id: 3, name: null, tag: 'none'}]
+  )
+  t.deepEqual(
+    await db.column`select name from beep order by id`,
+    ['a', 'c', null]
+  )
+})
+
+test('db.insert', async function (t) {
+  await db.query('drop table if exists simple_postgres_inserts')
+  await db.query('create table simple_postgres_inserts (id serial primary key, user_name text unique, score integer not null default 0)')
+
+  t.deepEqual(
+    await db.insert('simple_postgres_inserts', {user_name: 'a'}, {returning: true}),
+    {id: 1, user_name: 'a', score: 0},
+    'should insert one row and return it'
+  )
+  t.equal(
+    await db.insert('simple_postgres_inserts', [{user_name: 'b', score: 1}, {user_name: 'c'}]),
+    2,
+    'should return the number of rows without returning'
+  )
+  t.equal(await db.insert('simple_postgres_inserts', []), 0, 'should insert nothing')
+
+  t.deepEqual(
+    await db.insert(['public', 'simple_postgres_inserts'], [{user_name: 'a', score: 5}, {user_name: 'd', score: 6}], {
+      onConflict: {target: 'user_name', update: ['score']},
+      returning: ['user_name', 'score']
+    }),
+    [{user_name: 'a', score: 5}, {user_name: 'd', score: 6}],
+    'should update conflicting rows'
+  )
+  t.deepEqual(
+    await db.insert('simple_postgres_inserts', {user_name: 'a', score: 7}, {
+      onConflict: {target: ['user_name'], update: true},
+      returning: 'score'
+    }),
+    {score: 7},
+    'should update every column but the target'
+  )
+  t.deepEqual(
+    await db.insert('simple_postgres_inserts', {user_name: 'a'}, {
+      onConflict: {target: 'user_name', update: {score: 8}},
+      returning: 'score'
+    }),
+    {score: 8},
+    'should update with values'
+  )
+  t.equal(
+    await db.insert('simple_postgres_inserts', [{user_name: 'a'}, {user_name: 'e'}], {onConflict: {doNothing: true}}),
+    1,
+    'should skip conflicting rows'
+  )
+
+  let camelDb = db.configure({connectionString: process.env.DATABASE_URL, transformKeys: 'camelCase'})
+  t.deepEqual(
+    await camelDb.insert('simple_postgres_inserts', {userName: 'f'}, {returning: ['userName']}),
+    {userName: 'f'},
+    'should transform keys'
+  )
+  await camelDb.end()
+
+  let many = []
+  for (let i = 0; i < 40000; i++) {
+    many.push({user_name: 'many ' + i, score: i})
+  }
+  let statements = []
+  let countingDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    hooks: {onQuery ({ sql }) { statements.push(sql.slice(0, 6)) }}
+  })
+  try {
+    await countingDb.insert('simple_postgres_inserts', many.concat({user_name: 'a'}))
+    t.fail('duplicates should fail')
+  } catch (err) {
+    t.ok(err instanceof db.UniqueViolation)
+  }
+  t.deepEqual(statements, ['begin', 'INSERT', 'INSERT', 'rollba'], 'should split statements in a transaction')
+  t.equal(await db.value('select count(*)::int from simple_postgres_inserts where user_name like $1', ['many %']), 0, 'should roll back every batch')
+
+  let inserted = await countingDb.insert('simple_postgres_inserts', many, {returning: ['score']})
+  t.equal(inserted.length, 40000, 'should return rows from every batch')
+  t.deepEqual(inserted[39999], {score: 39999})
+  await countingDb.end()
+
+  await db.transaction(async function (trx) {
+    t.deepEqual(
+      await trx.insert('simple_postgres_inserts', {user_name: 'g', score: undefined}, {returning: ['score']}),
+      {score: 0},
+      'should work in transactions'
+    )
+  })
+
+  try {
+    await db.insert('simple_postgres_inserts', {user_name: 'a'}, {onConflict: {update: true}})
+    t.fail('updates without a target should fail')
+  } catch (err) {
+    t.equal(err.message, 'onConflict needs a target to update')
+  }
+  await db.query('drop table simple_postgres_inserts')
+})
+
 test('successful transaction', async function (t) {
   await db.query('drop table if exists beep')
   await db.query('create table beep (id integer)')
@@ -258,14 +622,1299 @@ test('successful transaction', async function (t) {
   )
 })
 
-test('bad connection url', async function (t) {
+test('nested transaction', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer)')
+
+  await db.transaction(async function (trx) {
+    await trx.query('insert into beep (id) values (1)')
+
+    await trx.transaction(async function (nested) {
+      await nested.query('insert into beep (id) values (2)')
+      await nested.transaction(async function (deeper) {
+        await deeper.query('insert into beep (id) values (3)')
+      })
+    })
+
+    try {
+      await trx.transaction(async function (nested) {
+        await nested.query('insert into beep (id) values (4)')
+        await nested.query('not a real sql query lol')
+      })
+      t.fail('nested transaction errors should cause the promise to reject')
+    } catch (err) {
+      t.ok(err instanceof db.SqlError, 'nested transaction should reject with the original error')
+    }
+
+    t.deepEqual(
+      await trx.column('select id from beep order by id'),
+      [1, 2, 3],
+      'failed nested transaction should only roll back to its savepoint'
+    )
+  })
+
+  t.deepEqual(
+    await db.column('select id from beep order by id'),
+    [1, 2, 3],
+    'released savepoints are committed with the outer transaction'
+  )
+})
+
+test('nested transaction rollback with outer transaction', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer)')
+
   try {
-    await db.configure('postgres://example').query('select 1')
-    t.fail('should not be able to connect to postgres://example')
+    await db.transaction(async function (trx) {
+      await trx.transaction(async function (nested) {
+        await nested.query('insert into beep (id) values (1)')
+      })
+      throw new Error('outer transaction error')
+    })
+    t.fail('transaction errors should cause the promise to reject')
   } catch (err) {
-    t.equal(err.code, 'ENOTFOUND', 'incorrect host should throw ENOTFOUND')
-    if (err.code !== 'ENOTFOUND') throw err
+    t.equal(err.message, 'outer transaction error', 'should reject with the original error')
+  }
+
+  t.deepEqual(
+    await db.column('select id from beep'),
+    [],
+    'released savepoints are rolled back with the outer transaction'
+  )
+})
+
+test('test transactions', async function (t) {
+  await db.query('CREATE TABLE IF NOT EXISTS isolation_test (id int)')
+  try {
+    await db.beginTestTransaction()
+    await db.query('INSERT INTO isolation_test VALUES (1)')
+    await db.connection(async function ({ query }) {
+      await query('INSERT INTO isolation_test VALUES (2)')
+    })
+    await db.transaction(async function ({ query }) {
+      await query('INSERT INTO isolation_test VALUES (3)')
+    })
+    try {
+      await db.transaction(async function ({ query }) {
+        await query('INSERT INTO isolation_test VALUES (4)')
+        throw new Error('oops')
+      })
+    } catch (err) {}
+    let ids = []
+    for await (let row of db.cursor('SELECT id FROM isolation_test ORDER BY id')) {
+      ids.push(row.id)
+    }
+    t.deepEqual(ids, [1, 2, 3], 'should route every call through the test transaction')
+
+    try {
+      await db.query('SELECT nope')
+      t.fail('bad queries should reject')
+    } catch (err) {}
+    t.equal(await db.value('SELECT count(*)::int FROM isolation_test'), 3, 'should keep working after a failed query')
+    t.deepEqual(
+      await Promise.all([
+        db.value('SELECT 1::int'),
+        db.value('SELECT nope').catch(() => 'failed'),
+        db.value('SELECT 2::int')
+      ]),
+      [1, 'failed', 2],
+      'should isolate concurrent calls from each other\'s failures'
+    )
+    await Promise.all([
+      db.transaction(({ query }) => query('INSERT INTO isolation_test VALUES (8)')),
+      db.transaction(({ query }) => query('INSERT INTO isolation_test VALUES (9)'))
+    ])
+    t.deepEqual(
+      await db.column('SELECT id FROM isolation_test ORDER BY id'),
+      [1, 2, 3, 8, 9],
+      'should run concurrent transactions'
+    )
+
+    try {
+      await db.beginTestTransaction()
+      t.fail('should not begin a second test transaction')
+    } catch (err) {
+      t.equal(err.message, 'A test transaction is already open')
+    }
+
+    await db.rollbackTestTransaction()
+    t.deepEqual(await db.column('SELECT id FROM isolation_test'), [], 'should roll back every change')
+
+    t.equal(await db.testIsolation(async function () {
+      await db.query('INSERT INTO isolation_test VALUES (5)')
+      return db.value('SELECT count(*)::int FROM isolation_test')
+    }), 1, 'should resolve with the result of the block')
+    t.deepEqual(await db.column('SELECT id FROM isolation_test'), [], 'should roll back the block')
+
+    let reported
+    let explainingDb = db.configure({
+      connectionString: process.env.DATABASE_URL,
+      slowQueryMillis: 50,
+      explainSlowQueries: 'analyze',
+      onSlowQuery (report) { reported(report) }
+    })
+    await explainingDb.beginTestTransaction()
+    await explainingDb.query('INSERT INTO isolation_test VALUES (6)')
+    let report = new Promise(resolve => { reported = resolve })
+    await explainingDb.value('SELECT pg_sleep(0.1)')
+    t.ok((await report).plan, 'should explain slow queries')
+    await explainingDb.query('INSERT INTO isolation_test VALUES (7)')
+    await explainingDb.rollbackTestTransaction()
+    await explainingDb.end()
+    t.deepEqual(await db.column('SELECT id FROM isolation_test'), [], 'explaining should not end the test transaction')
+  } finally {
+    await db.query('DROP TABLE isolation_test')
+  }
+})
+
+test('transaction options', async function (t) {
+  await db.transaction({ isolationLevel: 'serializable', readOnly: true, deferrable: true }, async function (trx) {
+    t.equal(await trx.value('show transaction_isolation'), 'serializable', 'should set the isolation level')
+    t.equal(await trx.value('show transaction_read_only'), 'on', 'should set read only')
+    t.equal(await trx.value('show transaction_deferrable'), 'on', 'should set deferrable')
+  })
+
+  try {
+    await db.transaction({ isolationLevel: 'chaotic' }, async function () {
+      t.fail('transaction with a bad isolation level should not begin')
+    })
+    t.fail('transaction with a bad isolation level should reject')
+  } catch (err) {
+    t.equal(err.message, 'Unknown transaction isolation level: chaotic')
+  }
+})
+
+test('transaction retry', async function (t) {
+  const fail = 'DO language plpgsql $$ BEGIN RAISE EXCEPTION \'fake\' USING ERRCODE = \'serialization_failure\'; END $$'
+  let attempts = 0
+  let result = await db.transaction({ retry: { attempts: 3, minDelay: 1 } }, async function (trx) {
+    attempts++
+    if (attempts < 3) await trx.query(fail)
+    return trx.value('select 1')
+  })
+  t.equal(attempts, 3, 'should re-run the block after serialization failures')
+  t.equal(result, 1, 'should resolve with the result of the successful attempt')
+
+  attempts = 0
+  try {
+    await db.transaction({ retry: { attempts: 2, minDelay: 1 } }, async function (trx) {
+      attempts++
+      await trx.query(fail)
+    })
+    t.fail('transaction should reject after running out of attempts')
+  } catch (err) {
+    t.ok(err instanceof db.SqlError, 'should reject with the final SqlError')
+    t.equal(err.code, '40001', 'should keep the SQLSTATE')
+    t.equal(err.attempts, 2, 'should report the number of attempts')
+    t.equal(attempts, 2, 'should stop retrying after the given number of attempts')
+  }
+
+  attempts = 0
+  try {
+    await db.transaction({ retry: true }, async function (trx) {
+      attempts++
+      await trx.query('not a real sql query lol')
+    })
+    t.fail('transaction errors should cause the promise to reject')
+  } catch (err) {
+    t.equal(attempts, 1, 'should not retry other errors')
+  }
+})
+
+test('db.cursor', async function (t) {
+  let rows = []
+  for await (let row of db.cursor('select * from generate_series(1, 250) g', [], { batchSize: 100 })) {
+    rows.push(row)
+  }
+  t.equal(rows.length, 250, 'should yield every row')
+  t.deepEqual(rows[249], {g: 250}, 'should yield row objects')
+
+  let batches = []
+  for await (let batch of db.cursor`select * from generate_series(${1}::int, ${5}::int) g`.batches(2)) {
+    batches.push(batch.map(row => row.g))
+  }
+  t.deepEqual(batches, [[1, 2], [3, 4], [5]], 'should yield batches of rows')
+
+  for (let [size, shown] of [['all', "'all'"], [-1, '-1'], [1.5, '1.5'], ['1; drop table beep', "'1; drop table beep'"]]) {
+    try {
+      await db.cursor('select 1').batches(size).next()
+      t.fail('bad batch sizes should reject')
+    } catch (err) {
+      t.equal(err.message, 'Cursor batch sizes must be positive integers, got ' + shown, 'should reject ' + shown)
+    }
+  }
+  try {
+    await db.cursor('select 1', [], { batchSize: 'all' })[Symbol.asyncIterator]().next()
+    t.fail('bad batch sizes should reject')
+  } catch (err) {
+    t.equal(err.message, "Cursor batch sizes must be positive integers, got 'all'", 'should check options.batchSize')
+  }
+
+  t.equal((await db.pool()).idleCount, (await db.pool()).totalCount, 'should release the connection when done')
+})
+
+test('db.cursor break', async function (t) {
+  let count = 0
+  for await (let row of db.cursor('select * from generate_series(1, 1000) g')) {
+    if (row.g === 10) break
+    count++
+  }
+  t.equal(count, 9, 'should stop iterating')
+  t.equal((await db.pool()).idleCount, (await db.pool()).totalCount, 'should release the connection after a break')
+})
+
+test('db.cursor cancel', async function (t) {
+  let cursor = db.cursor('select pg_sleep(10)')
+  let iterator = cursor[Symbol.asyncIterator]()
+  let err
+  let next = iterator.next().catch(e => { err = e })
+  await new Promise(resolve => setTimeout(resolve, 100))
+  await cursor.cancel()
+  await next
+  t.ok(err instanceof db.Cancel, 'cursor should be cancelled')
+  t.deepEqual(await iterator.next(), {done: true}, 'cancelled cursor should be done')
+  t.equal((await db.pool()).idleCount, (await db.pool()).totalCount, 'should release the connection after cancel')
+})
+
+test('cursor in transaction', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer)')
+
+  await db.transaction(async function (trx) {
+    await trx.query('insert into beep (id) values (1), (2), (3)')
+    let ids = []
+    for await (let row of trx.cursor`select id from beep order by id`) {
+      ids.push(row.id)
+    }
+    t.deepEqual(ids, [1, 2, 3], 'should see rows from the transaction')
+    t.equal(await trx.value('select count(*)::int from beep'), 3, 'transaction should still be open')
+  })
+})
+
+test('bad sql in cursor', async function (t) {
+  try {
+    for await (let row of db.cursor('not a real sql query lol')) {
+      t.fail('should not yield rows: ' + row)
+    }
+    t.fail('should not be able to iterate an invalid query')
+  } catch (err) {
+    t.ok(err instanceof db.SqlError, 'should reject with SqlError')
+  }
+})
+
+test('db.copyFrom', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer, name text, tags text[])')
+
+  let weird = 'a\tb\nc\\d,"e"'
+  let result = await db.copyFrom('copy beep (id, name, tags) from stdin', [
+    [1, weird, ['x', 'y "z"']],
+    [2, null, null]
+  ])
+  t.equal(result.rowCount, 2, 'should resolve with the number of rows copied')
+
+  async function * csvRows () {
+    yield [3, '', [null]]
+    yield '4,raw,\n'
+  }
+  await db.copyFrom(db.template`copy beep (id, name, tags) from stdin with (format csv)`, csvRows(), { format: 'csv' })
+
+  t.deepEqual(
+    await db.rows('select * from beep order by id'),
+    [
+      {id: 1, name: weird, tags: ['x', 'y "z"']},
+      {id: 2, name: null, tags: null},
+      {id: 3, name: '', tags: [null]},
+      {id: 4, name: 'raw', tags: null}
+    ],
+    'should copy rows, strings and buffers'
+  )
+
+  await db.connection(async function ({ copyFrom, query, value }) {
+    let copy = copyFrom('copy beep (id) from stdin', [[5]])
+    await copy
+    let sleeping = query('select pg_sleep(0.1)')
+    let queued = value('select 2')
+    await copy.cancel()
+    let timer
+    let timedOut = new Promise(resolve => { timer = setTimeout(resolve, 2000, 'timed out') })
+    t.equal(await Promise.race([queued, timedOut]), 2, 'cancelling a finished copy should leave other queries alone')
+    clearTimeout(timer)
+    await sleeping
+  })
+})
+
+test('db.copyFrom errors', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer)')
+
+  try {
+    await db.copyFrom('copy beep (id) from stdin', [[1], ['not a number']])
+    t.fail('should not be able to copy invalid data')
+  } catch (err) {
+    t.ok(err instanceof db.SqlError, 'should reject with SqlError')
+  }
+
+  async function * brokenRows () {
+    yield [1]
+    throw new Error('broken source')
+  }
+  try {
+    await db.copyFrom('copy beep (id) from stdin', brokenRows())
+    t.fail('should not be able to copy from a broken source')
+  } catch (err) {
+    t.equal(err.message, 'broken source', 'should reject with the source error')
   }
+
+  let copying = db.copyFrom('copy beep (id) from stdin', (async function * () {
+    yield [1]
+    await new Promise(resolve => setTimeout(resolve, 10000))
+  })())
+  let err
+  copying.catch(e => { err = e })
+  await new Promise(resolve => setTimeout(resolve, 100))
+  await copying.cancel()
+  await copying.catch(() => {})
+  t.ok(err instanceof db.Cancel, 'copy should be cancelled')
+
+  t.equal(await db.value('select count(*)::int from beep'), 0, 'failed copies should not insert anything')
+})
+
+test('db.copyTo', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer, name text)')
+  await db.query('insert into beep (id, name) values (1, $1), (2, null)', ['a\tb\nc\\d'])
+
+  let chunks = []
+  for await (let chunk of db.copyTo('copy beep to stdout')) {
+    chunks.push(chunk)
+  }
+  t.equal(Buffer.concat(chunks).toString(), '1\ta\\tb\\nc\\\\d\n2\t\\N\n', 'should stream raw chunks')
+
+  let rows = []
+  for await (let row of db.copyTo('copy beep to stdout', { rows: true })) {
+    rows.push(row)
+  }
+  t.deepEqual(rows, [['1', 'a\tb\nc\\d'], ['2', null]], 'should stream decoded rows')
+
+  let count = 0
+  for await (let series of db.copyTo('copy (select * from generate_series(1, 1000000)) to stdout', { rows: true })) {
+    if (series[0] === '10') break
+    count++
+  }
+  t.equal(count, 9, 'should stop streaming')
+
+  try {
+    for await (let row of db.copyTo('copy imaginary_table to stdout')) {
+      t.fail('should not yield rows: ' + row)
+    }
+    t.fail('should not be able to copy an invalid table')
+  } catch (err) {
+    t.ok(err instanceof db.SqlError, 'should reject with SqlError')
+  }
+
+  await new Promise(resolve => setTimeout(resolve, 100))
+  t.equal((await db.pool()).idleCount, (await db.pool()).totalCount, 'should release connections')
+})
+
+test('copy in transaction', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer)')
+
+  try {
+    await db.transaction(async function (trx) {
+      await trx.copyFrom('copy beep (id) from stdin', [[1], [2]])
+      let rows = []
+      for await (let row of trx.copyTo('copy beep to stdout', { rows: true })) {
+        rows.push(row)
+      }
+      t.deepEqual(rows, [['1'], ['2']], 'copied rows should be visible inside the transaction')
+      throw new Error('roll it back')
+    })
+  } catch (err) {
+    t.equal(err.message, 'roll it back')
+  }
+
+  t.equal(await db.value('select count(*)::int from beep'), 0, 'copy should be rolled back with the transaction')
+})
+
+test('db.listen', async function (t) {
+  let payloads = []
+  let received
+  function nextPayload () {
+    return new Promise(resolve => { received = resolve })
+  }
+  function onPayload (payload) {
+    payloads.push(payload)
+    received()
+  }
+
+  let unlisten = await db.listen('beep boop', onPayload)
+  let unlistenJson = await db.listen('beep boop', onPayload, { json: true })
+
+  let next = nextPayload()
+  await db.notify('beep boop', {a: 1})
+  await next
+  await next
+  t.deepEqual(payloads, ['{"a":1}', {a: 1}], 'should call every handler, parsing json when asked')
+
+  await unlistenJson()
+  payloads = []
+  next = nextPayload()
+  await db.notify('beep boop', 'hello')
+  await next
+  t.deepEqual(payloads, ['hello'], 'should not call handlers after unsubscribing')
+
+  await unlisten()
+})
+
+test('db.listen reconnect', async function (t) {
+  let listenDb = db.configure(process.env.DATABASE_URL)
+  let errors = []
+  listenDb.setErrorHandler(err => errors.push(err))
+
+  let received
+  let unlisten = await listenDb.listen('beep', payload => received(payload))
+
+  await db.query(`
+    SELECT pg_terminate_backend(pid)
+    FROM pg_stat_activity
+    WHERE query = 'LISTEN "beep"'
+  `)
+
+  let payload
+  while (!payload) {
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await listenDb.notify('beep', 'still here')
+    payload = await Promise.race([
+      new Promise(resolve => { received = resolve }),
+      new Promise(resolve => setTimeout(resolve, 100))
+    ])
+  }
+
+  t.equal(payload, 'still here', 'should listen again after reconnecting')
+  t.ok(errors.length > 0, 'should report the dropped connection')
+  await unlisten()
+})
+
+test('hooks', async function (t) {
+  let events = []
+  function record (name) {
+    return event => events.push(Object.assign({ name: name }, event))
+  }
+  let hookedDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    hooks: {
+      onQuery: record('query'),
+      onResult: record('result'),
+      onError: record('error'),
+      onConnect: record('connect'),
+      onRelease: record('release'),
+      redactParams: params => params.map(p => p === 'secret' ? '[redacted]' : p)
+    }
+  })
+
+  await hookedDb.query('select $1::text, $2::int', ['secret', 1])
+  t.deepEqual(events.map(e => e.name), ['connect', 'query', 'result', 'release'], 'should call hooks in order')
+  t.deepEqual(events[1].params, ['[redacted]', 1], 'should redact params')
+  t.equal(events[2].sql, 'select $1::text, $2::int', 'should include the sql')
+  t.equal(events[2].rowCount, 1, 'should include the row count')
+  t.equal(events[2].block, null, 'single queries are not in a block')
+  t.equal(typeof events[2].duration, 'number', 'should include the duration')
+
+  events = []
+  try {
+    await hookedDb.transaction(async function (trx) {
+      await trx.query('not a real sql query lol')
+    })
+  } catch (err) {}
+  t.deepEqual(
+    events.filter(e => e.name === 'query').map(e => e.sql),
+    ['begin', 'not a real sql query lol', 'rollback'],
+    'should see every statement in a transaction'
+  )
+  let error = events.find(e => e.name === 'error')
+  t.ok(error.error instanceof db.SqlError, 'should include the error')
+  t.equal(error.block, 'transaction', 'should know the query ran in a transaction')
+
+  events = []
+  await hookedDb.connection(async function ({ query }) {
+    await query('select 1')
+  })
+  t.equal(events.find(e => e.name === 'result').block, 'connection', 'should know the query ran in a connection')
+})
+
+test('slow queries', async function (t) {
+  await db.query('drop table if exists beep')
+  await db.query('create table beep (id integer)')
+
+  let reports = []
+  let reported
+  let slowDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    slowQueryMillis: 50,
+    explainSlowQueries: 'analyze',
+    onSlowQuery (report) {
+      reports.push(report)
+      reported()
+    }
+  })
+
+  let next = new Promise(resolve => { reported = resolve })
+  await slowDb.query('select 1')
+  await slowDb.value('select pg_sleep(0.1), $1::int', [1])
+  await next
+  t.equal(reports.length, 1, 'should only report slow queries')
+  t.equal(reports[0].sql, 'select pg_sleep(0.1), $1::int', 'should report the sql')
+  t.deepEqual(reports[0].params, [1], 'should report the params')
+  t.ok(reports[0].duration >= 50, 'should report the duration')
+  t.ok(/test\.js/.test(reports[0].stack), 'should report the call site')
+  t.ok(reports[0].plan[0]['Execution Time'] >= 0, 'should analyze reads')
+
+  next = new Promise(resolve => { reported = resolve })
+  await slowDb.query('insert into beep (id) select 1 from pg_sleep(0.1)')
+  await next
+  t.ok(reports[1].plan[0].Plan, 'should explain writes')
+  t.equal(reports[1].plan[0]['Execution Time'], undefined, 'should not analyze writes')
+  t.equal(await db.value('select count(*)::int from beep'), 1, 'should only run writes once')
+
+  next = new Promise(resolve => { reported = resolve })
+  await slowDb.connection(async function ({ value }) {
+    await value('select pg_advisory_lock(4242), pg_sleep(0.1)')
+    await value('select pg_advisory_unlock(4242)')
+  })
+  await next
+  t.ok(reports[2].plan[0]['Execution Time'] >= 0, 'should analyze selects')
+  t.equal(
+    await db.value("select count(*)::int from pg_locks where locktype = 'advisory' and objid = 4242"),
+    0,
+    'should not keep anything the analyzed query left behind'
+  )
+  await slowDb.end()
+
+  let warn = console.warn
+  let warnings = 0
+  console.warn = function () { warnings++ }
+  let quietDb = db.configure({connectionString: process.env.DATABASE_URL, slowQueryMillis: 1})
+  try {
+    await quietDb.value('select pg_sleep(0.01)')
+    await new Promise(resolve => setTimeout(resolve, 50))
+  } finally {
+    console.warn = warn
+  }
+  t.equal(warnings, 0, 'should not print slow queries nobody asked for')
+  await quietDb.end()
+})
+
+test('prepared statements', async function (t) {
+  let preparedDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    max: 1,
+    statementCacheSize: 2
+  })
+  let statement = preparedDb.prepare('select $1::int as a')
+  t.deepEqual(await statement.rows([1]), [{a: 1}], 'should return rows')
+  t.deepEqual(await statement.row([2]), {a: 2}, 'should return a row')
+  t.equal(await statement.value([3]), 3, 'should return a value')
+  t.deepEqual(await statement.column([4]), [4], 'should return a column')
+  t.equal((await statement.query([5])).rowCount, 1, 'should return a result')
+  t.equal(await preparedDb.prepared.value`select ${6}::int as a`, 6, 'should work as a template')
+
+  function preparedStatements () {
+    return preparedDb.column('select name from pg_prepared_statements order by name')
+  }
+  t.deepEqual(
+    await preparedStatements(),
+    [statement.__simplePostgresStatement.name],
+    'should reuse the same statement'
+  )
+
+  await preparedDb.prepared.value`select ${1}::int as b`
+  await preparedDb.prepared.value`select ${1}::int as c`
+  t.equal((await preparedStatements()).length, 2, 'should deallocate old statements')
+
+  await preparedDb.query('deallocate all')
+  t.equal(await statement.value([7]), 7, 'should prepare forgotten statements again')
+
+  await preparedDb.transaction(async function (trx) {
+    t.equal(await trx.prepare('select $1::int as a').value([8]), 8, 'should work in transactions')
+    t.equal(await trx.value(statement, [9]), 9, 'should accept statements as queries')
+  })
+})
+
+test('type parsers and key transforms', async function (t) {
+  await db.query('drop type if exists simple_postgres_mood cascade')
+  await db.query("create type simple_postgres_mood as enum ('happy', 'sad')")
+  let typedDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    types: {
+      int8: 'bigint',
+      numeric: 'string',
+      date: 'string',
+      float8: 'number',
+      700: value => 'float4 ' + value,
+      simple_postgres_mood: value => value.toUpperCase()
+    },
+    transformKeys: 'camelCase'
+  })
+
+  t.deepEqual(
+    await typedDb.row`select 1::int8 as user_id, 1.50::numeric as unit_price, '2020-01-02'::date as created_on, 2::float4 as _ratio`,
+    {userId: global.BigInt(1), unitPrice: '1.50', createdOn: '2020-01-02', _ratio: 'float4 2'},
+    'row should parse types and transform keys'
+  )
+  t.deepEqual(
+    await typedDb.rows('select $1::simple_postgres_mood as current_mood, $2::int8[] as ids', ['sad', [1, 2]]),
+    [{currentMood: 'SAD', ids: [global.BigInt(1), global.BigInt(2)]}],
+    'rows should parse enums and arrays'
+  )
+  t.equal(await typedDb.value`select 3::int8`, global.BigInt(3), 'value should parse types')
+  t.deepEqual(await typedDb.column`select 0.5::float8 as some_value`, [0.5], 'column should parse types')
+  t.equal(await db.value`select 1::int8`, '1', 'other instances should keep the default parsers')
+  t.deepEqual(await db.row`select 1 as user_id`, {user_id: 1}, 'other instances should keep keys')
+
+  let params = []
+  t.equal(
+    typedDb.set({firstName: 'a', age: 2}).__buildSql(params),
+    '"first_name" = $1, "age" = $2',
+    'set should transform keys back'
+  )
+  t.equal(
+    typedDb.where({lastName: null, userId: [1]}).__buildSql(params),
+    '"last_name" IS NULL AND "user_id" IN ($3)',
+    'where should transform keys back'
+  )
+
+  let unknownDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    types: {simple_postgres_missing: 'string'}
+  })
+  try {
+    await unknownDb.query('select 1')
+    t.fail('unknown types should fail')
+  } catch (err) {
+    t.equal(err.message, 'Unknown type: simple_postgres_missing')
+  }
+  await db.query("create type simple_postgres_missing as enum ('here')")
+  try {
+    t.equal(await unknownDb.value("select 'here'::simple_postgres_missing"), 'here', 'should look types up again')
+  } finally {
+    await db.query('drop type simple_postgres_missing')
+  }
+
+  t.throws(
+    () => db.configure({types: {int8: 'float'}}),
+    /Unknown parser for type int8: 'float'/
+  )
+  t.throws(
+    () => db.configure({transformKeys: 'kebabCase'}),
+    /Unknown key transform: kebabCase/
+  )
+
+  await Promise.all([typedDb.end(), unknownDb.end()])
+  await db.query('drop type simple_postgres_mood')
+})
+
+test('onConnect and db.withSession', async function (t) {
+  await db.query('drop table if exists simple_postgres_tenant_rows')
+  await db.query('drop role if exists simple_postgres_tenant')
+  await db.query('create role simple_postgres_tenant')
+  await db.query('create table simple_postgres_tenant_rows (tenant_id integer, name text)')
+  await db.query("insert into simple_postgres_tenant_rows values (1, 'a'), (2, 'b'), (1, 'c')")
+  await db.query('alter table simple_postgres_tenant_rows enable row level security')
+  await db.query("create policy tenant on simple_postgres_tenant_rows using (tenant_id = current_setting('app.tenant_id')::integer)")
+  await db.query('grant select on simple_postgres_tenant_rows to simple_postgres_tenant')
+
+  let setUps = 0
+  let sessionDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    max: 1,
+    async onConnect (conn) {
+      setUps++
+      await conn.query("SET timezone = 'Pacific/Auckland'")
+    }
+  })
+  t.equal(await sessionDb.value('SHOW timezone'), 'Pacific/Auckland', 'onConnect should set up the connection')
+  t.equal(await sessionDb.value('SHOW timezone'), 'Pacific/Auckland')
+  t.equal(setUps, 1, 'onConnect should run once per connection')
+
+  let session = {role: 'simple_postgres_tenant', settings: {'app.tenant_id': 1, 'app.skipped': undefined}}
+  let names = await sessionDb.withSession(session, async function (trx) {
+    t.equal(await trx.value('select current_user'), 'simple_postgres_tenant', 'should set the role')
+    t.equal(await trx.value("select current_setting('app.skipped', true)"), null, 'should skip undefined settings')
+    return trx.column('select name from simple_postgres_tenant_rows order by name')
+  })
+  t.deepEqual(names, ['a', 'c'], 'should apply the settings')
+
+  try {
+    await sessionDb.withSession(session, async function (trx) {
+      throw new Error('oops')
+    })
+    t.fail('errors should be thrown')
+  } catch (err) {
+    t.equal(err.message, 'oops')
+  }
+
+  t.notEqual(await sessionDb.value('select current_user'), 'simple_postgres_tenant', 'should reset the role')
+  t.equal(await sessionDb.value("select current_setting('app.tenant_id', true)"), '', 'should reset the settings')
+  t.deepEqual(
+    await sessionDb.with({settings: {'app.tenant_id': 2}}).withSession({role: 'simple_postgres_tenant'}, trx =>
+      trx.column('select name from simple_postgres_tenant_rows')
+    ),
+    ['b'],
+    'db.with should merge session options'
+  )
+  t.equal(
+    await sessionDb.withSession({settings: {'app.tenant_id': null}}, trx => trx.value("select current_setting('app.tenant_id')")),
+    '',
+    'null should clear a setting'
+  )
+
+  await sessionDb.beginTestTransaction()
+  try {
+    await sessionDb.query("select set_config('app.tenant_id', '2', true)")
+    t.deepEqual(
+      await sessionDb.withSession(session, trx => trx.column('select name from simple_postgres_tenant_rows')),
+      ['a', 'c'],
+      'should apply the session inside a test transaction'
+    )
+    t.notEqual(await sessionDb.value('select current_user'), 'simple_postgres_tenant', 'should reset the role inside a test transaction')
+    t.equal(
+      await sessionDb.value("select current_setting('app.tenant_id')"),
+      '2',
+      'should restore the settings inside a test transaction'
+    )
+  } finally {
+    await sessionDb.rollbackTestTransaction()
+  }
+  t.equal(setUps, 1)
+
+  let failingDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    onConnect () {
+      throw new Error('setup failed')
+    }
+  })
+  try {
+    await failingDb.query('select 1')
+    t.fail('failed setup should fail the query')
+  } catch (err) {
+    t.equal(err.message, 'setup failed')
+  }
+  t.equal(failingDb.stats().total, 0, 'should not keep the connection')
+
+  await Promise.all([sessionDb.end(), failingDb.end()])
+  await db.query('drop table simple_postgres_tenant_rows')
+  await db.query('drop role simple_postgres_tenant')
+})
+
+test('advisory locks', async function (t) {
+  function locks () {
+    return db.value('SELECT count(*)::int FROM pg_locks WHERE locktype = \'advisory\'')
+  }
+
+  let order = []
+  let first = db.withAdvisoryLock('lock test', async function ({ value }) {
+    order.push('first')
+    await db.query('SELECT pg_sleep(0.1)')
+    t.equal(await value('SELECT 1::int'), 1, 'should pass a connection to the block')
+    order.push('first done')
+    return 'result'
+  })
+  await db.query('SELECT pg_sleep(0.05)')
+  let second = db.withAdvisoryLock('lock test', async function () {
+    order.push('second')
+  })
+  t.equal(await first, 'result', 'should resolve with the result of the block')
+  await second
+  t.deepEqual(order, ['first', 'first done', 'second'], 'should wait for the lock')
+  t.equal(await locks(), 0, 'should release the lock')
+
+  await db.withAdvisoryLock(42, async function () {
+    try {
+      await db.withAdvisoryLock(42, async () => t.fail('should not run without the lock'), { wait: false })
+      t.fail('should not acquire a held lock')
+    } catch (err) {
+      t.ok(err instanceof db.LockNotAvailable, 'should reject when wait is false')
+      t.equal(err.key, 42, 'should include the key')
+    }
+    try {
+      await db.withAdvisoryLock(42, async () => t.fail('should not run without the lock'), { timeout: 50 })
+      t.fail('should not acquire a held lock')
+    } catch (err) {
+      t.ok(err instanceof db.LockNotAvailable, 'should reject when timeout expires')
+    }
+  })
+
+  for (let options of [{}, { timeout: 1000 }]) {
+    let waiting
+    await db.withAdvisoryLock(42, async function () {
+      waiting = db.withAdvisoryLock(42, async () => t.fail('should not run once cancelled'), options)
+      await db.query('SELECT pg_sleep(0.05)')
+      await waiting.cancel()
+    })
+    try {
+      await waiting
+      t.fail('should reject once cancelled')
+    } catch (err) {
+      t.ok(err instanceof db.Cancel, 'should reject with Cancel while waiting for the lock')
+    }
+    t.equal(await locks(), 0, 'should not leave the lock held after cancelling')
+  }
+
+  t.equal(
+    await db.withAdvisoryLock(42, function () {
+      return db.withAdvisoryLock(42, async () => 'shared', { shared: true, wait: false })
+    }, { shared: true }),
+    'shared',
+    'should allow shared locks to be held together'
+  )
+
+  try {
+    await db.withAdvisoryLock('lock test', async function () {
+      throw new Error('oops')
+    })
+  } catch (err) {
+    t.equal(err.message, 'oops', 'should reject with the error from the block')
+  }
+  t.equal(await locks(), 0, 'should release the lock after errors')
+
+  try {
+    await db.withAdvisoryLock(1.5, async () => {})
+    t.fail('should not accept fractional keys')
+  } catch (err) {
+    t.equal(err.message, 'Advisory lock keys must be strings or integers, got 1.5')
+  }
+
+  await db.transaction(async function (trx) {
+    t.equal(await trx.advisoryXactLock('xact lock test'), true, 'should acquire transaction locks')
+    t.equal(
+      await db.transaction(trx2 => trx2.advisoryXactLock('xact lock test', { wait: false })),
+      false,
+      'should resolve with false when wait is false'
+    )
+  })
+  t.equal(await locks(), 0, 'should release transaction locks on commit')
+})
+
+test('db.migrate', async function (t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-postgres-'))
+  const options = { directory, table: 'migrate_test_migrations' }
+  fs.writeFileSync(path.join(directory, '001_create.sql'), 'CREATE TABLE migrate_test (id int);')
+  fs.writeFileSync(path.join(directory, '002_insert.js'), 'module.exports = trx => trx.query(\'INSERT INTO migrate_test VALUES (1)\')\n')
+  fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration')
+
+  try {
+    t.deepEqual(
+      await db.migrate(Object.assign({ dryRun: true }, options)),
+      [{ version: '1', name: '001_create.sql' }, { version: '2', name: '002_insert.js' }],
+      'dry runs should list pending migrations'
+    )
+    t.equal(await db.value('SELECT to_regclass(\'migrate_test\')'), null, 'dry runs should not apply anything')
+
+    let runs = await Promise.all([db.migrate(options), db.migrate(options)])
+    t.deepEqual(
+      runs[0].concat(runs[1]).map(m => m.name).sort(),
+      ['001_create.sql', '002_insert.js'],
+      'concurrent runs should apply each migration once'
+    )
+    t.deepEqual(await db.column('SELECT id FROM migrate_test'), [1], 'should apply sql and js migrations')
+
+    fs.writeFileSync(path.join(directory, '003_fail.sql'), 'INSERT INTO migrate_test VALUES (3); not sql;')
+    try {
+      await db.migrate(options)
+      t.fail('failed migrations should reject')
+    } catch (err) {
+      t.ok(err instanceof db.SqlError, 'should reject with the sql error')
+    }
+    t.deepEqual(await db.column('SELECT id FROM migrate_test'), [1], 'failed migrations should roll back')
+
+    fs.unlinkSync(path.join(directory, '003_fail.sql'))
+    fs.writeFileSync(path.join(directory, '001_create.sql'), 'CREATE TABLE migrate_test (id bigint);')
+    try {
+      await db.migrate(options)
+      t.fail('edited migrations should reject')
+    } catch (err) {
+      t.equal(err.message, 'Migrations have changed since they were applied: 001_create.sql')
+    }
+
+    fs.unlinkSync(path.join(directory, '002_insert.js'))
+    t.deepEqual(
+      (await db.migrationStatus(options)).map(m => [m.name, m.status]),
+      [['001_create.sql', 'changed'], ['002_insert.js', 'missing']],
+      'should report migration status'
+    )
+
+    let singleDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-postgres-'))
+    fs.writeFileSync(path.join(singleDirectory, '001_select.sql'), 'SELECT 1')
+    let singleDb = db.configure({ connectionString: process.env.DATABASE_URL, max: 1 })
+    let timer
+    let timedOut = new Promise(resolve => { timer = setTimeout(resolve, 5000, 'timed out') })
+    t.deepEqual(
+      await Promise.race([singleDb.migrate({ directory: singleDirectory, table: 'migrate_test_single' }), timedOut]),
+      [{ version: '1', name: '001_select.sql' }],
+      'should migrate with a single connection'
+    )
+    clearTimeout(timer)
+    await singleDb.end()
+
+    let cwd = process.cwd()
+    fs.mkdirSync(path.join(directory, 'migrations'))
+    process.chdir(directory)
+    try {
+      t.deepEqual(
+        (await db.migrationStatus({ directory: undefined, table: 'migrate_test_migrations', schema: undefined })).map(m => [m.name, m.status]),
+        [['001_create.sql', 'missing'], ['002_insert.js', 'missing']],
+        'undefined options should use the defaults'
+      )
+    } finally {
+      process.chdir(cwd)
+    }
+
+    let migrating
+    t.doesNotThrow(() => { migrating = db.migrate({ directory: 5 }) }, 'bad options should not throw')
+    try {
+      await migrating
+      t.fail('bad options should reject')
+    } catch (err) {
+      t.ok(err instanceof TypeError, 'should reject bad options')
+    }
+  } finally {
+    await db.query('DROP TABLE IF EXISTS migrate_test, migrate_test_migrations, migrate_test_single')
+  }
+})
+
+test('db.end', async function (t) {
+  let endDb = db.configure(process.env.DATABASE_URL)
+  let finished = false
+  let block = endDb.transaction(async function ({ query }) {
+    await query('SELECT pg_sleep(0.1)')
+    finished = true
+  })
+  await endDb.query('SELECT 1')
+
+  let ending = endDb.end()
+  try {
+    await endDb.query('SELECT 1')
+    t.fail('should not accept new queries')
+  } catch (err) {
+    t.ok(err instanceof db.PoolEnding, 'should reject new queries while ending')
+  }
+  await ending
+  await block
+  t.ok(finished, 'should wait for blocks to finish')
+  t.equal(await endDb.value('SELECT 1::int'), 1, 'should reopen after ending')
+
+  let stuck = endDb.connection(({ query }) => query('SELECT pg_sleep(10)'))
+  await endDb.query('SELECT 1')
+  let start = Date.now()
+  await endDb.end({ timeout: 50 })
+  t.ok(Date.now() - start < 5000, 'should cancel queries after the timeout')
+  try {
+    await stuck
+    t.fail('cancelled queries should reject')
+  } catch (err) {
+    t.equal(err.code, '57014', 'should cancel with pg_cancel_backend')
+  }
+  t.equal(await endDb.value('SELECT 1::int'), 1, 'should reopen after a timeout')
+
+  let release
+  let waiting = new Promise(resolve => { release = resolve })
+  let idle = endDb.connection(async function ({ value }) {
+    await waiting
+    return value('SELECT 1::int')
+  })
+  await endDb.query('SELECT 1')
+  start = Date.now()
+  await endDb.end({ timeout: 50 })
+  t.ok(Date.now() - start < 5000, 'should not wait for idle blocks forever')
+  t.equal(endDb.stats().total, 0, 'should close connections still checked out')
+  release()
+  try {
+    await idle
+    t.fail('queries on a discarded connection should reject')
+  } catch (err) {
+    t.ok(err instanceof Error, 'should reject queries on a discarded connection')
+  }
+  t.equal(await endDb.value('SELECT 1::int'), 1, 'should reopen after discarding connections')
+  await endDb.end()
+})
+
+test('db.stats', async function (t) {
+  let statsDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    max: 1,
+    acquireTimeoutMillis: 50
+  })
+  t.deepEqual(
+    [statsDb.stats().total, statsDb.stats().queries],
+    [0, 0],
+    'should have stats before connecting'
+  )
+
+  await statsDb.query('SELECT 1')
+  await statsDb.query('SELECT nope').catch(() => {})
+  let cancelled = statsDb.query('SELECT pg_sleep(0.5)')
+  let waiting = statsDb.query('SELECT 1')
+  await new Promise(resolve => setTimeout(resolve, 10))
+  t.equal(statsDb.stats().waiting, 1, 'should count waiting clients')
+  try {
+    await waiting
+    t.fail('should time out waiting for a connection')
+  } catch (err) {
+    t.equal(err.name, 'AcquireTimeout')
+    t.equal(
+      err.message,
+      'Timed out after 50ms waiting for a connection, with 1 of 1 connections in use and 1 waiting',
+      'should explain why it timed out'
+    )
+  }
+  t.equal(statsDb.stats().activeQueries, 1, 'should count active queries')
+  await cancelled.cancel()
+  await cancelled.catch(() => {})
+
+  let stats = statsDb.stats()
+  t.deepEqual(
+    [stats.total, stats.idle, stats.waiting, stats.activeQueries, stats.queries, stats.errors, stats.cancels, stats.acquireTimeouts],
+    [1, 1, 0, 0, 3, 1, 1, 1],
+    'should count queries'
+  )
+  t.equal(stats.acquireWait.count, 3, 'should count connection acquisitions')
+  t.deepEqual(stats.acquireWait.buckets[stats.acquireWait.buckets.length - 1], { le: Infinity, count: 3 }, 'should have cumulative buckets')
+  await statsDb.end()
+})
+
+test('connection retry', async function (t) {
+  let errors = []
+  let refusedDb = db.configure({
+    connectionString: 'postgres://postgres@localhost:1/postgres',
+    retry: { attempts: 3, minDelay: 1, maxDelay: 2 },
+    errorHandler: err => errors.push(err)
+  })
+  try {
+    await refusedDb.value('SELECT 1')
+    t.fail('should fail to connect')
+  } catch (err) {
+    t.equal(err.code, 'ECONNREFUSED', 'should reject with the last error')
+  }
+  t.deepEqual(
+    errors.map(err => err.attempt),
+    [2, 3],
+    'should report each retry'
+  )
+  t.ok(/^Retrying connection \(attempt 2\) after error: connect ECONNREFUSED/.test(errors[0].message), 'should explain the retry')
+
+  errors = []
+  let retryDb = db.configure({
+    connectionString: process.env.DATABASE_URL,
+    retry: { reads: true },
+    errorHandler: err => errors.push(err)
+  })
+  await retryDb.query('CREATE SEQUENCE IF NOT EXISTS retry_test')
+  try {
+    const terminateOnce = `
+      SELECT CASE WHEN nextval('retry_test') = 1
+        THEN pg_terminate_backend(pg_backend_pid())::text
+        ELSE 'ok'
+      END AS result
+    `
+    t.equal(await retryDb.value(terminateOnce), 'ok', 'should run reads again')
+    let retries = errors.filter(err => /^Retrying query/.test(err.message))
+    t.equal(retries.length, 1, 'should report the retry')
+    t.equal(retries[0].cause.code, '57P01', 'should include the original error')
+
+    await retryDb.query('ALTER SEQUENCE retry_test RESTART')
+    try {
+      await retryDb.query(terminateOnce)
+      t.fail('should not run db.query again')
+    } catch (err) {
+      t.equal(err.code, '57P01', 'should only run reads again')
+    }
+  } finally {
+    await retryDb.query('DROP SEQUENCE retry_test')
+  }
+})
+
+test('read replicas', async function (t) {
+  const applicationName = 'SELECT current_setting(\'application_name\') AS name'
+  let errors = []
+  let replicaDb = db.configure({
+    primary: process.env.DATABASE_URL,
+    application_name: 'primary',
+    replicas: [
+      { connectionString: process.env.DATABASE_URL, application_name: 'replica 1' },
+      { connectionString: process.env.DATABASE_URL, application_name: 'replica 2' }
+    ],
+    errorHandler: err => errors.push(err)
+  })
+
+  t.deepEqual(
+    [await replicaDb.value(applicationName), await replicaDb.value(applicationName)],
+    ['replica 1', 'replica 2'],
+    'reads should go to each replica in turn'
+  )
+  t.equal((await replicaDb.query(applicationName)).rows[0].name, 'primary', 'db.query should use the primary')
+  t.equal(await replicaDb.primary.value(applicationName), 'primary', 'db.primary should use the primary')
+  t.equal(
+    await replicaDb.transaction(trx => trx.value(applicationName)),
+    'primary',
+    'transactions should use the primary'
+  )
+
+  let primaryDb = db.configure({
+    primary: process.env.DATABASE_URL,
+    application_name: 'primary',
+    replicas: [{ connectionString: process.env.DATABASE_URL, application_name: 'replica 1' }],
+    routeReads: false
+  })
+  t.equal(await primaryDb.value(applicationName), 'primary', 'routeReads: false should keep reads on the primary')
+  await primaryDb.end()
+
+  let brokenDb = db.configure({
+    primary: process.env.DATABASE_URL,
+    application_name: 'primary',
+    replicas: ['postgres://postgres@localhost:1/postgres'],
+    errorHandler: err => errors.push(err)
+  })
+  t.equal(await brokenDb.value(applicationName), 'primary', 'should fall back to the primary')
+  t.equal(errors.length, 1, 'should report the failing replica')
+  t.ok(/^Removed replica localhost:1 for 1000ms after error: /.test(errors[0].message), 'should explain the error')
+  t.equal(await brokenDb.value(applicationName), 'primary', 'should keep using the primary')
+  t.equal(errors.length, 1, 'should not try the replica again right away')
+
+  try {
+    await brokenDb.value('SELECT nope')
+    t.fail('bad queries should reject')
+  } catch (err) {
+    t.ok(err instanceof db.SqlError, 'should reject with the sql error')
+  }
+
+  t.throws(
+    () => db.configure({ replicas: [], replicaStrategy: 'random' }),
+    /Unknown replica strategy: random/,
+    'should validate the replica strategy'
+  )
+})
+
+test('fake driver', async function (t) {
+  const fake = require('../fake')()
+  const fakeDb = db.configure({ driver: fake })
+
+  fake.respond('SELECT name FROM users WHERE id = $1', [{ name: 'summer' }])
+  fake.respond(/^INSERT INTO users/, { rowCount: 1 })
+  fake.respondOnce(/^DELETE/, Object.assign(new Error('nope'), { code: '42501' }))
+  fake.respond(/^SELECT \$1::int \+ 1/, (sql, [n]) => [{ n: n + 1 }])
+
+  t.equal(await fakeDb.value('SELECT name FROM users WHERE id = $1', [1]), 'summer', 'should return canned rows')
+  t.equal(await fakeDb.value`SELECT ${1}::int + 1 AS n`, 2, 'should call response functions')
+  t.deepEqual(await fakeDb.rows('SELECT 1'), [], 'should return no rows by default')
+  try {
+    await fakeDb.query('DELETE FROM users')
+    t.fail('should reject with canned errors')
+  } catch (err) {
+    t.ok(err instanceof db.SqlError, 'should wrap canned errors')
+    t.equal(err.code, '42501', 'should keep error fields')
+  }
+  t.equal((await fakeDb.query('DELETE FROM users')).command, 'DELETE', 'should only respond once')
+  t.deepEqual(fake.queries[0].params, [1], 'should record params')
+
+  fake.reset()
+  try {
+    await fakeDb.transaction(async function ({ query }) {
+      await query('INSERT INTO users (name) VALUES ($1)', ['summer'])
+      await query('DELETE FROM users')
+      throw new Error('oops')
+    })
+  } catch (err) {}
+  t.deepEqual(fake.statements(), [
+    'begin',
+    'INSERT INTO users (name) VALUES ($1)',
+    'DELETE FROM users',
+    'rollback'
+  ], 'should record the statements run by a transaction')
+
+  let notifications = []
+  let unlisten = await fakeDb.listen('events', payload => notifications.push(payload), { json: true })
+  fake.notify('events', '{"a":1}')
+  t.deepEqual(notifications, [{ a: 1 }], 'should deliver notifications')
+  await unlisten()
+  await (await fakeDb.pool()).end()
+
+  let cachingDb = db.configure({ driver: fake, statementCacheSize: 1 })
+  fake.reset()
+  let first = cachingDb.prepare('SELECT 1')
+  await first.rows()
+  await cachingDb.prepare('SELECT 2').rows()
+  t.deepEqual(
+    fake.statements(),
+    ['SELECT 1', 'DEALLOCATE ' + db.escapeIdentifier(first.__simplePostgresStatement.name), 'SELECT 2'],
+    'should deallocate prepared statements'
+  )
+  t.equal(cachingDb.stats().activeQueries, 0, 'should finish every query')
+  await cachingDb.end()
+})
+
+test('bad connection url', async function (t) {
+  try {
+    await db.configure('postgres://example').query('select 1')
+    t.fail('should not be able to connect to postgres://example')
+  } catch (err) {
+    t.equal(err.code, 'ENOTFOUND', 'incorrect host should throw ENOTFOUND')
+    if (err.code !== 'ENOTFOUND') throw err
+  }
+})
+
+test('error classes', async function (t) {
+  async function error (promise) {
+    try {
+      await promise
+    } catch (err) {
+      return err
+    }
+    t.fail('query should fail')
+  }
+
+  await db.query('drop table if exists simple_postgres_books, simple_postgres_authors')
+  await db.query('create table simple_postgres_authors (id integer primary key, name text not null, born integer check (born > 0), unique (name, born))')
+  await db.query('create table simple_postgres_books (author_id integer references simple_postgres_authors (id))')
+  await db.query("insert into simple_postgres_authors values (1, 'a, b', 2)")
+
+  let err = await error(db.query("insert into simple_postgres_authors values (1, 'x', 1)"))
+  t.ok(err instanceof db.UniqueViolation && err instanceof db.SqlError, 'should be a UniqueViolation')
+  t.equal(err.name, 'UniqueViolation')
+  t.equal(err.constraint, 'simple_postgres_authors_pkey')
+  t.equal(err.table, 'simple_postgres_authors')
+  t.deepEqual(err.key, {id: '1'}, 'should parse the key')
+  err = await error(db.query("insert into simple_postgres_authors values (2, 'c', 3), (3, 'c', 3)"))
+  t.deepEqual(err.key, {name: 'c', born: '3'}, 'should parse keys with more than one column')
+  err = await error(db.query("insert into simple_postgres_authors values (4, 'a, b', 2)"))
+  t.equal(err.key, null, 'should give up on ambiguous keys')
+
+  err = await error(db.query('insert into simple_postgres_books values (5)'))
+  t.ok(err instanceof db.ForeignKeyViolation, 'should be a ForeignKeyViolation')
+  t.deepEqual(err.key, {author_id: '5'})
+
+  err = await error(db.query('insert into simple_postgres_authors (id) values (6)'))
+  t.ok(err instanceof db.NotNullViolation, 'should be a NotNullViolation')
+  t.equal(err.column, 'name')
+
+  err = await error(db.query("insert into simple_postgres_authors values (7, 'd', -1)"))
+  t.ok(err instanceof db.CheckViolation, 'should be a CheckViolation')
+  t.equal(err.constraint, 'simple_postgres_authors_born_check')
+
+  err = await error(db.transaction(async function ({ query }) {
+    await query('SET LOCAL statement_timeout = 1')
+    await query('SELECT pg_sleep(1)')
+  }))
+  t.ok(err instanceof db.QueryCanceled, 'should be a QueryCanceled')
+
+  err = await error(db.query('SELECT 1/0'))
+  t.equal(err.constructor, db.SqlError, 'other errors should be plain SqlErrors')
+
+  err = await error(db.query('SELECT 1\nFROM simple_postgres_books\n\tWHERE nope'))
+  t.equal(err.message, 'SQL Error: column "nope" does not exist\nSELECT 1\nFROM simple_postgres_books\n\tWHERE nope\n\t      ^', 'should point at the error')
+
+  await db.query('drop table simple_postgres_books, simple_postgres_authors')
 })
 
 test('bad query', async function (t) {
@@ -273,7 +1922,7 @@ test('bad query', async function (t) {
     await db.query('not a real sql query lol')
     t.fail('should not be able to execute an invalid query')
   } catch (err) {
-    t.equal(err.message, 'SQL Error: syntax error at or near "not"\nnot a real sql query lol', 'should throw syntax error')
+    t.equal(err.message, 'SQL Error: syntax error at or near "not"\nnot a real sql query lol\n^', 'should throw syntax error')
   }
 })
 
@@ -282,7 +1931,7 @@ test('bad query with params', async function (t) {
     await db.query('SELECT * FROM imaginary_table WHERE id = $1 AND imaginary = $2', [1, true])
     t.fail('should not be able to execute an invalid query')
   } catch (err) {
-    t.equal(err.message, 'SQL Error: relation "imaginary_table" does not exist\nSELECT * FROM imaginary_table WHERE id = $1 AND imaginary = $2\nQuery parameters:\n  $1: number 1\n  $2: boolean true', 'should throw syntax error')
+    t.equal(err.message, 'SQL Error: relation "imaginary_table" does not exist\nSELECT * FROM imaginary_table WHERE id = $1 AND imaginary = $2\n              ^\nQuery parameters:\n  $1: number 1\n  $2: boolean true', 'should throw syntax error')
   }
 })
 